@@ -1,18 +1,19 @@
-import { existsSync } from 'fs';
-import { join } from 'path';
 import express from 'express';
 import { config } from './src/config/config.js';
-import { staticDataService } from './src/services/StaticDataService.js';
-import { gtfsMonitor } from './src/services/GtfsMonitor.js';
-import { transitService } from './src/services/TransitService.js';
-import { gtfsUpdater } from './src/services/GtfsUpdater.js';
+import { agencyRegistry } from './src/services/AgencyRegistry.js';
+import { createAgencyRouter, getAgencyHealth, getAgencyStatus } from './src/routes/agencyRoutes.js';
+import { authenticate, rejectInvalidKey, requireScope } from './src/middleware/auth.js';
+import { createRateLimiter } from './src/middleware/rateLimit.js';
+import { requestMetrics } from './src/middleware/metrics.js';
+import { metrics } from './src/lib/metrics.js';
 import logger from './src/lib/logger.js';
 
-const VALID_DIRECTIONS = new Set(['eastbound', 'westbound']);
-
 // Initialize Express app
 const app = express();
+const defaultAgency = agencyRegistry.getDefault();
+app.set('trust proxy', config.trustProxy);
 app.use(express.json());
+app.use(requestMetrics);
 
 let isShuttingDown = false;
 
@@ -24,190 +25,147 @@ app.use((req, res, next) => {
   next();
 });
 
+// Health checks stay open and unthrottled for container orchestration
+const isHealthCheck = req => req.path === '/health' || /^\/agencies\/[^/]+\/health$/.test(req.path);
+
+// Invalid keys are rejected after the limiter has counted them against the client IP
+app.use(authenticate);
+app.use(createRateLimiter({ ...config.rateLimit, skip: isHealthCheck }));
+app.use(rejectInvalidKey);
+if (config.auth.requireRead) {
+  const requireRead = requireScope('read');
+  app.use((req, res, next) => isHealthCheck(req) ? next() : requireRead(req, res, next));
+}
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
     service: 'BART GTFS Real-time API',
     endpoints: {
       '/station': 'Get real-time information for the configured station',
-      '/station/:stopId': 'Get real-time information for any station by stop ID',
-      '/next': 'Get next 4 arrivals in simplified format (destination & minutes)',
-      '/stops': 'List all available stops',
+      '/station/:stopId': 'Get real-time information by platform ID, station ID or stop code (?group=platform, ?fare=true)',
+      '/next': 'Get next 4 arrivals in simplified format (destination & minutes); ?format=text|led|html|ssml|speech or Accept for displays and voice',
+      '/board': 'Departure board for several stops grouped by station, platform and destination (?stops=&limit=&perDestination=&direction=)',
+      '/board/:name': 'A departure board defined in config (BOARDS or the agency "boards" setting)',
+      '/stream/station/:stopId': 'Server-Sent Events stream of arrivals, pushed on every feed update (?direction=&limit=)',
+      '/gtfsrt/tripupdates': 'Cached GTFS-realtime trip updates as protobuf or JSON (?route=&stop=&trip=&format=json)',
+      '/gtfsrt/alerts': 'Cached GTFS-realtime alerts as protobuf or JSON (?route=&stop=&trip=&format=json)',
+      '/alerts': 'Active service alerts (?route=&stop=&lang=&includeInactive=true)',
+      '/trains': 'Active trains with last/next stop and interpolated position (?route=)',
+      '/trains/:tripId': 'Live position of a single train',
+      '/trips/:tripId': 'Full stop sequence of a trip with live, propagated, skipped and no-data stops (?date=YYYYMMDD)',
+      '/routes': 'List routes with colors, names and directions',
+      '/routes/:routeId/shape': 'Route geometry as GeoJSON with ordered stops per direction (?tolerance=meters)',
+      '/stops': 'List all available stops (?hierarchy=true groups platforms under stations)',
+      '/stops/nearby': 'Stations by great-circle distance with walking estimates (?lat=&lon=&radius=&limit=&departures=N)',
+      '/stops/search': 'Fuzzy station search on name and stop code (?q=&limit=)',
+      '/plan': 'Plan a trip between two stations (?from=&to=&depart=)',
+      '/fare': 'Fare between two stations for every rider category (?from=&to=)',
+      '/service': 'Active service IDs for a date (?date=YYYYMMDD, defaults to today)',
+      '/stats/ontime': 'On-time %, delay percentiles by hour and cancelled/missing trips (?route=&stop=&from=&to=YYYYMMDD)',
       '/health': 'Health check endpoint',
       '/status': 'Internal status of the monitor',
-      '/update': 'Trigger manual GTFS update (admin)'
+      '/metrics': 'Prometheus metrics: feed fetches, feed age, static data, request latency',
+      '/update': 'Trigger manual GTFS update (admin; Authorization: Bearer <key> or X-API-Key)',
+      '/update/rollback': 'Restore a previous GTFS static version (admin, {"version": "..."} or the previous one)',
+      '/agencies': 'List configured agencies',
+      '/agencies/:agency/...': 'Any of the endpoints above for a specific agency'
     },
     configuration: {
-      station: config.station,
+      defaultAgency: defaultAgency.id,
+      station: defaultAgency.config.station,
       feeds: {
-        trips: config.feeds.trips,
-        alerts: config.feeds.alerts
+        trips: defaultAgency.config.realtime.trips,
+        alerts: defaultAgency.config.realtime.alerts
       }
     }
   });
 });
 
-// Health check
+app.get('/agencies', (req, res) => {
+  const agencies = agencyRegistry.getAll().map(agency => ({
+    ...agency.getSummary(),
+    default: agency === defaultAgency
+  }));
+  res.json({ agencies, count: agencies.length });
+});
+
+// Health check: degraded when any agency is. The top-level fields describe the default agency.
 app.get('/health', (req, res) => {
-  const status = gtfsMonitor.getStatus();
-  const tripsAge = status.trips.lastUpdate
-    ? Date.now() - status.trips.lastUpdate.getTime()
-    : Infinity;
+  const agencies = {};
+  agencyRegistry.getAll().forEach(agency => {
+    agencies[agency.id] = getAgencyHealth(agency);
+  });
 
-  const isHealthy = status.trips.hasData && tripsAge < 300_000; // 5 min
+  const isHealthy = Object.values(agencies).every(health => health.healthy);
+  const defaultHealth = agencies[defaultAgency.id];
 
   res.status(isHealthy ? 200 : 503).json({
     status: isHealthy ? 'healthy' : 'degraded',
     timestamp: new Date().toISOString(),
-    monitor: status,
-    staticDataLoaded: staticDataService.getStats()
+    monitor: defaultHealth.monitor,
+    staticDataLoaded: defaultHealth.staticDataLoaded,
+    feed: defaultHealth.feed,
+    ...(defaultHealth.warnings.length > 0 && { warnings: defaultHealth.warnings }),
+    agencies: Object.fromEntries(Object.entries(agencies).map(([id, health]) => [id, {
+      status: health.healthy ? 'healthy' : 'degraded',
+      monitor: health.monitor,
+      feed: health.feed,
+      ...(health.warnings.length > 0 && { warnings: health.warnings })
+    }]))
   });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // Internal Status
 app.get('/status', (req, res) => {
-  res.json(gtfsMonitor.getStatus());
+  res.json({
+    ...getAgencyStatus(defaultAgency),
+    agencies: Object.fromEntries(agencyRegistry.getAll().map(agency => [agency.id, getAgencyStatus(agency)]))
+  });
 });
 
-// Get configured station info
-app.get('/station', async (req, res) => {
-  try {
-    const direction = req.query.direction?.toLowerCase() || config.station.direction;
-    if (req.query.direction && !VALID_DIRECTIONS.has(direction)) {
-      return res.status(400).json({ error: 'Invalid direction. Use "eastbound" or "westbound".' });
-    }
-    const stopInfo = await transitService.getStopInfo(config.station.id, direction);
-    res.json(stopInfo);
-  } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+// Agency-scoped endpoints: /agencies/:agency/... for every agency, and unprefixed for the default one
+const routers = new Map(agencyRegistry.getAll().map(agency => [agency.id, createAgencyRouter(agency)]));
 
-// Get any station info by ID
-app.get('/station/:stopId', async (req, res) => {
-  try {
-    const stopId = req.params.stopId;
-    const direction = req.query.direction?.toLowerCase() || null;
-    if (direction && !VALID_DIRECTIONS.has(direction)) {
-      return res.status(400).json({ error: 'Invalid direction. Use "eastbound" or "westbound".' });
-    }
-    const stopInfo = await transitService.getStopInfo(stopId, direction);
-    res.json(stopInfo);
-  } catch (error) {
-    const status = error.message.includes('not found') ? 404 : 500;
-    res.status(status).json({
-      error: error.message,
+app.use('/agencies/:agency', (req, res, next) => {
+  const agency = agencyRegistry.get(req.params.agency);
+  if (!agency) {
+    return res.status(404).json({
+      error: `Agency ${req.params.agency} not found`,
       timestamp: new Date().toISOString()
     });
   }
-});
-
-// Get next arrivals in simplified format
-app.get('/next', async (req, res) => {
-  try {
-    const stopId = req.query.stop || config.station.id;
-    const direction = req.query.direction?.toLowerCase() || config.station.direction;
-    if (req.query.direction && !VALID_DIRECTIONS.has(direction)) {
-      return res.status(400).json({ error: 'Invalid direction. Use "eastbound" or "westbound".' });
-    }
-    const limit = Math.min(Math.max(parseInt(req.query.limit) || 4, 1), 20);
-
-    const stopInfo = await transitService.getStopInfo(stopId, direction);
-
-    const nextArrivals = stopInfo.upcomingTrips.slice(0, limit).map(trip => {
-      let destination = trip.headsign;
-      if (destination) {
-        const parts = destination.split(' / ');
-        if (parts.length > 1) {
-          destination = parts[parts.length - 1];
-        }
-      } else {
-        destination = "Unknown";
-      }
-
-      const status = trip.minutesUntilArrival <= 1 ? 'arriving' : 'scheduled';
-
-      const arrival = {
-        destination: destination,
-        minutesUntilArrival: trip.minutesUntilArrival,
-        status: status
-      };
-
-      if (trip.vehicleLabel) {
-        arrival.vehicle = trip.vehicleLabel;
-      }
-      if (trip.occupancyStatus !== undefined) {
-        arrival.occupancy = trip.occupancyStatus;
-      }
-
-      return arrival;
-    });
-
-    res.json({
-      station: stopInfo.stop.name,
-      platform: stopInfo.stop.platform,
-      direction: direction || 'all',
-      nextArrivals: nextArrivals,
-      lastUpdated: stopInfo.lastUpdated,
-      ...(stopInfo.warnings.length > 0 && { warnings: stopInfo.warnings })
-    });
-
-  } catch (error) {
-    res.status(500).json({
-      error: error.message,
+  if (!agency.started) {
+    return res.status(503).json({
+      error: `Agency ${agency.id} is unavailable${agency.startError ? `: ${agency.startError.message}` : ''}`,
       timestamp: new Date().toISOString()
     });
   }
+  routers.get(agency.id)(req, res, next);
 });
 
-// List all stops
-app.get('/stops', (req, res) => {
-  const stops = staticDataService.getAllStops().map(stop => ({
-    id: stop.stop_id,
-    name: stop.stop_name,
-    code: stop.stop_code,
-    platform: stop.platform_code
-  }));
-  res.json({ stops, count: stops.length });
-});
-
-// Update endpoint
-app.post('/update', async (req, res) => {
-  try {
-    await gtfsUpdater.checkForUpdates();
-    res.json({ status: 'Update executed', timestamp: new Date().toISOString() });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
+app.use('/', routers.get(defaultAgency.id));
 
 // Start server
 async function startServer() {
   try {
-    // Download GTFS data if not present
-    const stopsFile = join(config.paths.staticData, 'stops.txt');
-    if (!existsSync(stopsFile)) {
-      logger.info('No GTFS static data found. Downloading...');
-      await gtfsUpdater.checkForUpdates();
-    }
-
-    // Load Static Data
-    await staticDataService.load();
-
-    // Start GTFS Monitor (Background polling)
-    gtfsMonitor.start();
-
-    // Start GTFS Updater (Daily check)
-    gtfsUpdater.start();
+    // Per agency: download static data if missing, load it, then start
+    // real-time polling, daily updates and stream pushes
+    await agencyRegistry.startAll();
 
+    const station = defaultAgency.config.station;
     const server = app.listen(config.port, config.host, () => {
       logger.info({
-        station: config.station.id,
-        stationName: staticDataService.getStop(config.station.id)?.stop_name,
-        direction: config.station.direction,
+        agencies: agencyRegistry.getAll().map(agency => agency.id),
+        defaultAgency: defaultAgency.id,
+        station: station?.id,
+        stationName: station && defaultAgency.staticData.getStop(station.id)?.stop_name,
+        direction: station?.direction,
         url: `http://${config.host}:${config.port}`
       }, 'BART GTFS Real-time API server started');
     });
@@ -216,8 +174,7 @@ async function startServer() {
       if (isShuttingDown) return;
       isShuttingDown = true;
       logger.info({ signal }, 'Shutting down gracefully');
-      gtfsMonitor.stop();
-      gtfsUpdater.stop();
+      agencyRegistry.stopAll();
       server.close(() => {
         logger.info('Server closed');
         process.exit(0);
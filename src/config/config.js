@@ -1,25 +1,255 @@
+import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, isAbsolute, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = join(__dirname, '../../');
 
+function parseDirectionAliases(value) {
+  const aliases = {};
+  value.split(',').forEach(pair => {
+    const [alias, direction] = pair.split(':').map(part => part.trim().toLowerCase());
+    if (alias && direction) aliases[alias] = direction;
+  });
+  return aliases;
+}
+
+function resolvePath(path) {
+  return isAbsolute(path) ? path : join(rootDir, path);
+}
+
+// Named departure boards: { "<name>": { stops: [...] or "A,B", limit, perDestination, direction } }
+function normalizeBoards(boards = {}) {
+  return Object.fromEntries(Object.entries(boards).map(([name, board]) => {
+    const stops = typeof board.stops === 'string' ? board.stops.split(',') : board.stops || [];
+    if (stops.length === 0) {
+      throw new Error(`Board ${name} needs at least one stop`);
+    }
+    return [name, {
+      stops: stops.map(stop => stop.trim()).filter(Boolean),
+      limit: board.limit || null,
+      perDestination: board.perDestination || null,
+      direction: board.direction?.toLowerCase() || null,
+    }];
+  }));
+}
+
+// Fills in defaults for one agency definition. The id doubles as the URL
+// namespace (/agencies/:id) and the logger tag.
+function normalizeAgency(agency, defaults) {
+  if (!agency.id || !/^[a-z0-9_-]+$/i.test(agency.id)) {
+    throw new Error(`Invalid agency id "${agency.id}": use letters, digits, "-" or "_"`);
+  }
+  if (!agency.realtime?.trips || !agency.realtime?.alerts) {
+    throw new Error(`Agency ${agency.id} needs realtime.trips and realtime.alerts feed URLs`);
+  }
+
+  const dir = agency.staticData?.dir || `gtfs-static-data-${agency.id}`;
+  const replay = { ...defaults.replay, ...agency.replay };
+  const apiKey = agency.apiKey
+    ? { ...agency.apiKey, value: agency.apiKey.value ?? process.env[agency.apiKey.env] ?? null }
+    : null;
+
+  return {
+    id: agency.id,
+    name: agency.name || agency.id,
+    staticData: {
+      url: agency.staticData?.url || null, // No url: static data is managed by hand
+      dir: resolvePath(dir),
+    },
+    realtime: {
+      trips: agency.realtime.trips,
+      alerts: agency.realtime.alerts,
+      vehicles: agency.realtime.vehicles || null,
+    },
+    // { header: "x-api-key" } or { query: "api_key" }, with the key in "value" or the "env" variable
+    apiKey,
+    refreshInterval: agency.refreshInterval || defaults.refreshInterval,
+    timezone: agency.timezone || defaults.timezone,
+    station: agency.station
+      ? { id: agency.station.id, direction: agency.station.direction?.toLowerCase() || null }
+      : null,
+    directionAliases: typeof agency.directionAliases === 'string'
+      ? parseDirectionAliases(agency.directionAliases)
+      : agency.directionAliases || {},
+    boards: normalizeBoards(agency.boards || defaults.boards),
+    // Every fetched protobuf is written under archive.dir/<id> when archive.record is set
+    archive: {
+      record: agency.archive?.record ?? defaults.archive.record,
+      dir: resolvePath(agency.archive?.dir || defaults.archive.dir),
+    },
+    // A replay path (archive directory or single feed file) replaces the live feeds
+    replay: replay.path
+      ? { path: resolvePath(replay.path), speed: replay.speed > 0 ? replay.speed : 1, loop: !!replay.loop, from: replay.from || null }
+      : null,
+  };
+}
+
+// JSON settings can be given inline or as a path to a JSON file
+function readJsonSetting(source) {
+  const json = source.trim().startsWith('[') || source.trim().startsWith('{') ? source : readFileSync(source, 'utf-8');
+  return JSON.parse(json);
+}
+
+// AGENCIES_CONFIG holds a JSON array of agencies.
+// Without it the single-agency BART_* / STATION_* variables apply.
+function loadAgencies(defaults) {
+  const source = process.env.AGENCIES_CONFIG;
+  if (!source) {
+    return [normalizeAgency({
+      id: process.env.AGENCY_ID || 'bart',
+      name: 'BART',
+      staticData: {
+        url: process.env.BART_STATIC_URL || 'https://www.bart.gov/dev/schedules/google_transit.zip',
+        dir: defaults.paths.staticData,
+      },
+      realtime: defaults.feeds,
+      station: defaults.station,
+      directionAliases: defaults.directionAliases,
+    }, defaults)];
+  }
+
+  const agencies = readJsonSetting(source).map(agency => normalizeAgency(agency, defaults));
+  if (agencies.length === 0) {
+    throw new Error('AGENCIES_CONFIG must list at least one agency');
+  }
+  if (new Set(agencies.map(agency => agency.id)).size !== agencies.length) {
+    throw new Error('AGENCIES_CONFIG has duplicate agency ids');
+  }
+  return agencies;
+}
+
+// "true", a hop count, or addresses/subnets such as "loopback, 10.0.0.0/8"
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+const SCOPES = ['admin', 'read'];
+
+// AUTH_KEYS holds a JSON array of { name, key | env, scopes, rateLimit? }
+function loadApiKeys() {
+  const source = process.env.AUTH_KEYS;
+  if (!source) return [];
+
+  return readJsonSetting(source).map(entry => {
+    const key = entry.key ?? process.env[entry.env];
+    if (!entry.name || !key) {
+      throw new Error('Each AUTH_KEYS entry needs a name and a key (or env variable holding it)');
+    }
+    const scopes = entry.scopes || ['read'];
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`API key ${entry.name} has unknown scopes: ${unknown.join(', ')}`);
+    }
+    return { name: entry.name, key, scopes, rateLimit: entry.rateLimit ?? null };
+  });
+}
+
 export const config = {
   logLevel: process.env.LOG_LEVEL || 'info',
+  // Single-agency settings, used when AGENCIES_CONFIG is not set
   feeds: {
     trips: process.env.BART_TRIPS_URL || "https://api.bart.gov/gtfsrt/tripupdate.aspx",
     alerts: process.env.BART_ALERTS_URL || "https://api.bart.gov/gtfsrt/alerts.aspx",
+    vehicles: process.env.BART_VEHICLES_URL || null, // Optional vehicle positions feed
   },
   station: {
     id: process.env.STATION_ID || "M20-2", // Montgomery St. Station Platform 2 (Eastbound)
     direction: (process.env.STATION_DIRECTION || "eastbound").toLowerCase(),
   },
+  // Legacy direction vocabulary mapped onto GTFS direction names from directions.txt,
+  // e.g. DIRECTION_ALIASES="eastbound:North,westbound:South"
+  directionAliases: parseDirectionAliases(process.env.DIRECTION_ALIASES || 'eastbound:North,westbound:South'),
+  // Named /board/:name definitions as inline JSON or a JSON file; per-agency "boards" override them
+  boards: process.env.BOARDS ? readJsonSetting(process.env.BOARDS) : {},
+  board: {
+    defaultLimit: 10, // Arrivals per platform
+    maxLimit: 30,
+  },
+  stopSearch: {
+    defaultRadius: 1000, // Meters, for /stops/nearby
+    maxRadius: 20000,
+    defaultLimit: 10,
+    maxLimit: 50,
+    maxDepartures: 10, // Embedded departures per station
+  },
+  display: {
+    ledWidth: parseInt(process.env.LED_WIDTH, 10) || 24, // Characters per line for /next?format=led
+    maxLedWidth: 80,
+  },
   port: parseInt(process.env.PORT, 10) || 3001,
   host: process.env.HOST || '0.0.0.0',
+  // Express "trust proxy" setting, so rate limits see client IPs behind a reverse proxy
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  auth: {
+    keys: loadApiKeys(),
+    requireRead: process.env.AUTH_REQUIRE_READ === 'true', // Also require a "read" key on public routes
+  },
+  rateLimit: {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60_000,
+    max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 120, // Per client IP without a key
+    keyMax: parseInt(process.env.RATE_LIMIT_KEY_MAX, 10) || 1200, // Per API key, unless the key sets its own
+  },
   paths: {
     staticData: join(rootDir, 'gtfs-static-data'),
   },
+  timezone: process.env.AGENCY_TIMEZONE || 'America/Los_Angeles', // Used when agency.txt has no timezone
+  schedule: {
+    // "fallback": scheduled departures only when real-time data is missing or stale
+    // "merge": also add scheduled trips the real-time feed doesn't cover
+    // "off": never show scheduled departures
+    mode: (process.env.SCHEDULE_MODE || 'fallback').toLowerCase(),
+    lookaheadMinutes: parseInt(process.env.SCHEDULE_LOOKAHEAD_MINUTES, 10) || 120,
+    // "show": cancelled trips stay in arrivals with status "cancelled"; "hide": they are removed
+    cancelledTrips: (process.env.CANCELLED_TRIPS || 'show').toLowerCase(),
+  },
+  planner: {
+    defaultTransferSeconds: parseInt(process.env.PLANNER_TRANSFER_SECONDS, 10) || 60, // When transfers.txt has no rule
+    horizonMinutes: parseInt(process.env.PLANNER_HORIZON_MINUTES, 10) || 240,
+    maxItineraries: 5,
+  },
+  stream: {
+    heartbeatInterval: 15000, // Keeps proxies from closing idle SSE connections
+    maxSubscribers: parseInt(process.env.STREAM_MAX_SUBSCRIBERS, 10) || 100,
+  },
+  staticUpdates: {
+    keepVersions: parseInt(process.env.GTFS_KEEP_VERSIONS, 10) || 3, // Previous feeds kept for rollback
+    historySize: 20,
+    expiryWarningDays: parseInt(process.env.GTFS_EXPIRY_WARNING_DAYS, 10) || 14, // Warn this long before feed_end_date
+  },
+  // Feed recording and replay for offline development, e.g.
+  // FEED_REPLAY_PATH=tripupdate.dat or FEED_REPLAY_PATH=feed-archive FEED_REPLAY_SPEED=10
+  archive: {
+    record: process.env.FEED_RECORD === 'true',
+    dir: process.env.FEED_ARCHIVE_DIR || 'feed-archive',
+  },
+  replay: {
+    path: process.env.FEED_REPLAY_PATH || null,
+    speed: parseFloat(process.env.FEED_REPLAY_SPEED) || 1, // Clock rate relative to wall time
+    loop: process.env.FEED_REPLAY_LOOP === 'true',
+    from: process.env.FEED_REPLAY_FROM || null, // ISO timestamp; earlier frames are skipped
+  },
+  // Observed delays for /stats/ontime, appended per agency and service day
+  stats: {
+    enabled: process.env.STATS_ENABLED !== 'false',
+    dir: resolvePath(process.env.STATS_DIR || 'delay-history'),
+    onTimeThreshold: parseInt(process.env.ON_TIME_THRESHOLD_SECONDS, 10) || 300, // Up to 5 minutes late counts as on time
+    maxDays: 92, // Longest /stats/ontime range
+  },
+  responseCache: {
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500, // Memoized /station, /next and /stops payloads per agency
+    staticMaxAge: 3600, // Cache-Control max-age (seconds) for responses built only from static data
+  },
   refreshInterval: 30000, // 30 seconds
   cacheTTL: 60000, // Keep stale data for 1 minute data if fetch fails
 };
+
+config.agencies = loadAgencies(config);
+// Agency served at the unprefixed routes (/station, /next, ...)
+config.defaultAgency = process.env.DEFAULT_AGENCY || config.agencies[0].id;
+if (!config.agencies.some(agency => agency.id === config.defaultAgency)) {
+  throw new Error(`DEFAULT_AGENCY "${config.defaultAgency}" is not a configured agency`);
+}
@@ -0,0 +1,190 @@
+// Renderings of the /next arrival model for displays and voice assistants.
+// Each takes the JSON body /next serves:
+//   { station, platform, direction, nextArrivals: [{ destination, shortDestination,
+//     minutesUntilArrival, status, platform? }], lastUpdated, warnings? }
+
+export const ARRIVAL_FORMATS = {
+    json: 'application/json',
+    text: 'text/plain; charset=utf-8',
+    led: 'text/plain; charset=utf-8',
+    html: 'text/html; charset=utf-8',
+    ssml: 'application/ssml+xml; charset=utf-8',
+    speech: 'text/plain; charset=utf-8'
+};
+
+// Formats reachable through the Accept header; led and speech share
+// text/plain with text, so they are only available as ?format=
+export const NEGOTIATED_FORMATS = {
+    'application/json': 'json',
+    'text/plain': 'text',
+    'text/html': 'html',
+    'application/ssml+xml': 'ssml'
+};
+
+const COMPASS = /^(north|south|east|west)(bound)?$/i;
+
+function formatClock(date, timeZone) {
+    if (!date) return null;
+    return new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .format(new Date(date));
+}
+
+function waitLabel(arrival) {
+    if (arrival.status === 'cancelled') return 'Cancelled';
+    if (arrival.minutesUntilArrival <= 0) return 'Now';
+    return `${arrival.minutesUntilArrival} min`;
+}
+
+function heading(body) {
+    const parts = [body.station];
+    if (body.platform) parts.push(`Platform ${body.platform}`);
+    if (body.direction && body.direction !== 'all') parts.push(body.direction);
+    return parts.join(' - ');
+}
+
+function escapeMarkup(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function toAscii(text) {
+    return text.normalize('NFD').replace(/[^\x20-\x7e]/g, '');
+}
+
+// Aligned lines for terminals and e-ink displays
+export function renderText(body, { timeZone }) {
+    const arrivals = body.nextArrivals;
+    const labelWidth = Math.max(0, ...arrivals.map(arrival => waitLabel(arrival).length));
+    const nameWidth = Math.max(0, ...arrivals.map(arrival => arrival.destination.length));
+
+    const lines = [heading(body)];
+    arrivals.forEach(arrival => {
+        const platform = arrival.platform ? `  Platform ${arrival.platform}` : '';
+        lines.push(`  ${waitLabel(arrival).padStart(labelWidth)}  ${arrival.destination.padEnd(nameWidth)}${platform}`.trimEnd());
+    });
+    if (arrivals.length === 0) lines.push('  No departures');
+
+    const updated = formatClock(body.lastUpdated, timeZone);
+    if (updated) lines.push(`Updated ${updated}`);
+    (body.warnings || []).forEach(warning => lines.push(`! ${warning}`));
+    return lines.join('\n') + '\n';
+}
+
+// One line per arrival, exactly width ASCII characters: short destination on
+// the left, wait on the right ("Millbrae       3 min")
+export function renderLed(body, { width }) {
+    const lines = body.nextArrivals.map(arrival => {
+        let label = arrival.status === 'cancelled' ? 'Canc' : waitLabel(arrival);
+        const name = toAscii(arrival.shortDestination || arrival.destination);
+        if (name.length + label.length + 1 > width) label = label.replace(' min', 'm');
+        const room = Math.max(0, width - label.length - 1);
+        return `${name.slice(0, room).padEnd(room)} ${label}`;
+    });
+    if (lines.length === 0) lines.push('No departures'.slice(0, width).padEnd(width));
+    return lines.join('\n') + '\n';
+}
+
+// Standalone board page that reloads itself every refreshSeconds
+export function renderHtml(body, { timeZone, refreshSeconds }) {
+    const title = escapeMarkup(heading(body));
+    const showPlatform = body.nextArrivals.some(arrival => arrival.platform);
+    const rows = body.nextArrivals.map(arrival => {
+        const cells = [`<td>${escapeMarkup(arrival.destination)}</td>`];
+        if (showPlatform) cells.push(`<td>${escapeMarkup(arrival.platform)}</td>`);
+        cells.push(`<td class="wait">${escapeMarkup(waitLabel(arrival))}</td>`);
+        return `      <tr class="${escapeMarkup(arrival.status)}">${cells.join('')}</tr>`;
+    });
+    if (rows.length === 0) rows.push(`      <tr><td colspan="${showPlatform ? 3 : 2}">No departures</td></tr>`);
+
+    const updated = formatClock(body.lastUpdated, timeZone);
+    const warnings = (body.warnings || []).map(warning => `    <li>${escapeMarkup(warning)}</li>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta http-equiv="refresh" content="${refreshSeconds}">
+  <title>${title}</title>
+  <style>
+    body { margin: 0; padding: 1.5rem; background: #111; color: #f5c518; font-family: system-ui, sans-serif; }
+    h1 { margin: 0 0 1rem; font-size: 1.5rem; color: #fff; }
+    table { width: 100%; border-collapse: collapse; font-size: 1.5rem; }
+    th, td { padding: 0.4rem 0.6rem; text-align: left; border-bottom: 1px solid #333; }
+    th { font-size: 0.9rem; color: #aaa; font-weight: normal; }
+    .wait { text-align: right; }
+    .cancelled td { color: #888; text-decoration: line-through; }
+    .arriving .wait { color: #fff; }
+    footer, ul { color: #aaa; font-size: 0.9rem; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <table>
+    <thead>
+      <tr><th>Destination</th>${showPlatform ? '<th>Platform</th>' : ''}<th class="wait">Departs</th></tr>
+    </thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+${warnings.length > 0 ? `  <ul>\n${warnings.join('\n')}\n  </ul>\n` : ''}${updated ? `  <footer>Updated ${updated}</footer>\n` : ''}</body>
+</html>
+`;
+}
+
+// Sentences a voice assistant can read out: full destination names, with
+// "Dublin/Pleasanton" read as two words
+function speechSentences(body) {
+    const compass = body.direction?.match(COMPASS);
+    const trains = compass ? `${compass[1].toLowerCase()}bound trains` : 'trains';
+    const arrivals = body.nextArrivals;
+    if (arrivals.length === 0) {
+        return [`There are no ${trains} scheduled from ${body.station} right now.`];
+    }
+
+    const sentences = [`Next ${trains} from ${body.station}${body.platform ? `, platform ${body.platform}` : ''}.`];
+    arrivals.forEach(arrival => {
+        const destination = arrival.destination.replace(/\s*\/\s*/g, ' ');
+        const platform = arrival.platform && !body.platform ? ` on platform ${arrival.platform}` : '';
+        if (arrival.status === 'cancelled') {
+            sentences.push(`The train to ${destination}${platform} is cancelled.`);
+        } else if (arrival.minutesUntilArrival <= 0) {
+            sentences.push(`${destination}${platform}, arriving now.`);
+        } else {
+            const minutes = arrival.minutesUntilArrival;
+            sentences.push(`${destination}${platform}, in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}.`);
+        }
+    });
+    return sentences;
+}
+
+export function renderSpeech(body) {
+    return speechSentences(body).join(' ') + '\n';
+}
+
+export function renderSsml(body) {
+    const sentences = speechSentences(body).map(sentence => `    <s>${escapeMarkup(sentence)}</s>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<speak version="1.1" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US">
+  <p>
+${sentences.join('\n')}
+  </p>
+</speak>
+`;
+}
+
+export function renderArrivals(format, body, options) {
+    switch (format) {
+        case 'text': return renderText(body, options);
+        case 'led': return renderLed(body, options);
+        case 'html': return renderHtml(body, options);
+        case 'ssml': return renderSsml(body);
+        case 'speech': return renderSpeech(body);
+        default: throw new Error(`Unknown format ${format}`);
+    }
+}
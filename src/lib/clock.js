@@ -0,0 +1,44 @@
+// Agency clock. It follows wall time until feed replay shifts it to the
+// recording's time, optionally running faster, so predictions, countdowns and
+// staleness checks see the replayed moment rather than the real one.
+export class Clock {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.origin = null;
+        this.realStart = 0;
+        this.speed = 1;
+    }
+
+    // From now on the clock reads `at` (epoch ms), advancing `speed` times faster than wall time
+    set(at, speed = 1) {
+        this.origin = at;
+        this.realStart = Date.now();
+        this.speed = speed;
+    }
+
+    get shifted() {
+        return this.origin !== null;
+    }
+
+    now() {
+        if (this.origin === null) return Date.now();
+        return this.origin + (Date.now() - this.realStart) * this.speed;
+    }
+
+    date() {
+        return new Date(this.now());
+    }
+
+    // Epoch seconds, the unit GTFS-RT and the schedule code work in
+    seconds() {
+        return Math.floor(this.now() / 1000);
+    }
+
+    // Wall-clock milliseconds until the clock reads `at`
+    delayUntil(at) {
+        return Math.max((at - this.now()) / this.speed, 0);
+    }
+}
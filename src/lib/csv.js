@@ -0,0 +1,24 @@
+import { parse } from 'csv-parse';
+import { parse as parseSync } from 'csv-parse/sync';
+import { readFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+
+// Parses a GTFS CSV file into an array of row objects keyed by header
+export async function parseCsvFile(filePath) {
+    const content = await readFile(filePath, 'utf-8');
+    return new Promise((resolve, reject) => {
+        parse(content, { columns: true, skip_empty_lines: true }, (err, records) => {
+            if (err) reject(err);
+            else resolve(records);
+        });
+    });
+}
+
+// For small files read outside the async load path (e.g. feed_info.txt)
+export function parseCsvSync(content) {
+    return parseSync(content, { columns: true, skip_empty_lines: true });
+}
+
+export function parseCsvFileSync(filePath) {
+    return parseCsvSync(readFileSync(filePath, 'utf-8'));
+}
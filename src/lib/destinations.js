@@ -0,0 +1,31 @@
+// Destination labels for headsigns. BART headsigns list the places a train
+// serves, "SF / OAK Airport / Berryessa", ending with where it terminates,
+// sometimes qualified: "Millbrae (Caltrain Transfer Platform)".
+
+// Longest label that fits a small sign without abbreviating
+const SHORT_NAME_LENGTH = 12;
+
+const ABBREVIATIONS = [
+    [/\bSan Francisco\b/g, 'SF'],
+    [/\bInternational\b/g, 'Intl'],
+    [/\bAirport\b/g, 'Arpt'],
+    [/\bStreet\b/g, 'St'],
+    [/\bCent(er|re)\b/g, 'Ctr'],
+    [/\bNorth\b/g, 'N'],
+    [/\bSouth\b/g, 'S']
+];
+
+// Terminus of a headsign, without any parenthesized qualifier
+export function destinationFromHeadsign(headsign) {
+    const parts = headsign.split(' / ');
+    return parts[parts.length - 1].replace(/\s*\([^)]*\)\s*$/, '').trim() || headsign;
+}
+
+// Compact label for fixed-width displays: "Pittsburg/Bay Point" keeps its
+// first name, "San Francisco International Airport" becomes "SF Intl Arpt"
+export function shortDestinationName(name) {
+    if (name.length <= SHORT_NAME_LENGTH) return name;
+    const first = name.split('/')[0].trim();
+    if (first && first !== name) return shortDestinationName(first);
+    return ABBREVIATIONS.reduce((short, [pattern, abbreviation]) => short.replace(pattern, abbreviation), name);
+}
@@ -0,0 +1,68 @@
+const EARTH_RADIUS_METERS = 6371008.8;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in meters
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+// Initial compass bearing in degrees from the first point to the second
+export function bearing(lat1, lon1, lat2, lon2) {
+    const y = Math.sin(toRadians(lon2 - lon1)) * Math.cos(toRadians(lat2));
+    const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+        Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(toRadians(lon2 - lon1));
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Douglas-Peucker simplification of [lat, lon] points, tolerance in meters
+export function simplify(points, toleranceMeters) {
+    if (points.length < 3 || !(toleranceMeters > 0)) return points;
+
+    // Local equirectangular projection is plenty accurate at transit-network scale
+    const lat0 = toRadians(points[0][0]);
+    const projected = points.map(([lat, lon]) => [
+        toRadians(lon) * Math.cos(lat0) * EARTH_RADIUS_METERS,
+        toRadians(lat) * EARTH_RADIUS_METERS
+    ]);
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+
+        for (let i = first + 1; i < last; i++) {
+            const d = segmentDistance(projected[i], projected[first], projected[last]);
+            if (d > maxDistance) {
+                maxDistance = d;
+                index = i;
+            }
+        }
+
+        if (index !== -1 && maxDistance > toleranceMeters) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((_, i) => keep[i]);
+}
+
+function segmentDistance([px, py], [ax, ay], [bx, by]) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.min(Math.max(((px - ax) * dx + (py - ay) * dy) / lengthSquared, 0), 1);
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
@@ -0,0 +1,161 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format. Collectors run before each render
+// so gauges derived from current state (feed age, row counts) are fresh.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    _key(labels) {
+        return JSON.stringify(this.labelNames.map(name => labels[name] ?? ''));
+    }
+
+    _labels(labels) {
+        return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    }
+
+    // Drops every series whose labels match the given subset
+    clear(labels = {}) {
+        this.series.forEach((series, key) => {
+            if (Object.entries(labels).every(([name, value]) => series.labels[name] === value)) {
+                this.series.delete(key);
+            }
+        });
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach(series => lines.push(...this._renderSeries(series)));
+        return lines.join('\n');
+    }
+
+    _renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = this._key(labels);
+        const series = this.series.get(key);
+        if (series) series.value += amount;
+        else this.series.set(key, { labels: this._labels(labels), value: amount });
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.series.set(this._key(labels), { labels: this._labels(labels), value });
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const key = this._key(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: this._labels(labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Returns a function that records the seconds elapsed since the timer started
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    _renderSeries(series) {
+        const lines = this.buckets.map((bound, i) =>
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = new Set();
+    }
+
+    _register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = []) {
+        return this._register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = []) {
+        return this._register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames = [], buckets) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    // Collectors run on every render; returns a function that unregisters it
+    collect(fn) {
+        this.collectors.add(fn);
+        return () => this.collectors.delete(fn);
+    }
+
+    render() {
+        this.collectors.forEach(fn => fn());
+        return `${Array.from(this.metrics.values()).map(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+export const metrics = new Registry();
@@ -0,0 +1,87 @@
+// Helpers for GTFS service days and agency-local time. GTFS times are
+// measured from "noon minus 12h" on the service day, so they can run past
+// 24:00:00 and stay correct across DST transitions.
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+}
+
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+    });
+    return parts;
+}
+
+export function getTimeZoneOffset(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+export function toServiceDate(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}${pad(p.month)}${pad(p.day)}`;
+}
+
+export function parseServiceDate(serviceDate) {
+    const match = /^(\d{4})(\d{2})(\d{2})$/.exec(serviceDate || '');
+    if (!match) return null;
+
+    const year = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    const day = parseInt(match[3], 10);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+    return { year, month, day };
+}
+
+export function shiftServiceDate(serviceDate, days) {
+    const { year, month, day } = parseServiceDate(serviceDate);
+    const d = new Date(Date.UTC(year, month - 1, day + days));
+    return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+// 0 = Sunday ... 6 = Saturday
+export function getWeekday(serviceDate) {
+    const { year, month, day } = parseServiceDate(serviceDate);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Epoch milliseconds of "noon minus 12h" local time on the service day
+export function getServiceDayStart(serviceDate, timeZone) {
+    const { year, month, day } = parseServiceDate(serviceDate);
+    const noonUtc = Date.UTC(year, month - 1, day, 12);
+    let offset = getTimeZoneOffset(new Date(noonUtc), timeZone);
+    offset = getTimeZoneOffset(new Date(noonUtc - offset), timeZone);
+    return noonUtc - offset - 12 * 60 * 60 * 1000;
+}
+
+// "25:10:00" -> seconds since the start of the service day
+export function parseGtfsTime(value) {
+    const match = /^\s*(\d{1,3}):(\d{2}):(\d{2})\s*$/.exec(value || '');
+    if (!match) return null;
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+}
@@ -0,0 +1,78 @@
+import { createHash } from 'crypto';
+import { config } from '../config/config.js';
+import logger from '../lib/logger.js';
+
+const log = logger.child({ service: 'auth' });
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+// Looked up by hash so request keys are never compared character by character
+const keysByHash = new Map(config.auth.keys.map(entry => [hashKey(entry.key), entry]));
+
+if (keysByHash.size === 0) {
+  log.warn('No API keys configured (AUTH_KEYS); admin endpoints are disabled');
+}
+
+function authError(res, status, message) {
+  if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+  return res.status(status).json({
+    error: message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function getPresentedKey(req) {
+  const header = req.get('authorization');
+  if (header) {
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? match[1].trim() : '';
+  }
+  return req.get('x-api-key') ?? null;
+}
+
+// Sets req.auth to { name, scopes, rateLimit } for a valid key, null when none is sent.
+// A key that is sent but unknown is only flagged here; rejectInvalidKey turns it away
+// once the rate limiter has counted it against the client IP, so guessing is throttled.
+export function authenticate(req, res, next) {
+  const key = getPresentedKey(req);
+  req.auth = null;
+  if (key === null) {
+    return next();
+  }
+
+  const entry = key && keysByHash.get(hashKey(key));
+  if (!entry) {
+    req.invalidKey = true;
+    return next();
+  }
+
+  req.auth = { name: entry.name, scopes: entry.scopes, rateLimit: entry.rateLimit };
+  next();
+}
+
+// A key that is sent but unknown is rejected rather than treated as anonymous
+export function rejectInvalidKey(req, res, next) {
+  if (!req.invalidKey) return next();
+  log.warn({ ip: req.ip, path: req.path }, 'Rejected invalid API key');
+  return authError(res, 401, 'Invalid API key');
+}
+
+// The admin scope implies read
+export function hasScope(auth, scope) {
+  return !!auth && (auth.scopes.includes(scope) || auth.scopes.includes('admin'));
+}
+
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return authError(res, 401, `Authentication required: send an API key with the "${scope}" scope`);
+    }
+    if (!hasScope(req.auth, scope)) {
+      return authError(res, 403, `API key "${req.auth.name}" lacks the "${scope}" scope`);
+    }
+    next();
+  };
+}
@@ -0,0 +1,16 @@
+import { metrics } from '../lib/metrics.js';
+
+const requestDuration = metrics.histogram('http_request_duration_seconds',
+  'HTTP request duration by route', ['method', 'route', 'status']);
+
+// Labels use the matched route pattern (e.g. /station/:stopId) to keep cardinality bounded;
+// agency prefixes collapse to /agencies/:agency
+export function requestMetrics(req, res, next) {
+  const endTimer = requestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    const base = (req.baseUrl || '').replace(/^\/agencies\/[^/]+/, '/agencies/:agency');
+    const route = req.route ? `${base}${req.route.path}` : 'unmatched';
+    endTimer({ route, status: String(res.statusCode) });
+  });
+  next();
+}
@@ -0,0 +1,43 @@
+// Fixed-window request counter per API key, or per client IP for anonymous requests
+export function createRateLimiter({ windowMs, max, keyMax, skip = () => false }) {
+  const windows = new Map();
+
+  // Drop finished windows so one-off clients don't accumulate
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, bucket) => {
+      if (window.resetAt <= now) windows.delete(bucket);
+    });
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    if (skip(req)) return next();
+
+    const now = Date.now();
+    const bucket = req.auth ? `key:${req.auth.name}` : `ip:${req.ip}`;
+    const limit = req.auth ? req.auth.rateLimit ?? keyMax : max;
+
+    let window = windows.get(bucket);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(bucket, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(limit - window.count, 0)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (window.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: `Too many requests. Try again in ${resetSeconds} seconds.`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    next();
+  };
+}
@@ -0,0 +1,679 @@
+import express from 'express';
+import { config } from '../config/config.js';
+import { requireScope } from '../middleware/auth.js';
+import { shiftServiceDate } from '../lib/time.js';
+import { ARRIVAL_FORMATS, NEGOTIATED_FORMATS, renderArrivals } from '../lib/arrivalFormats.js';
+
+// Alert language preference from ?lang= or Accept-Language
+function getLanguages(req) {
+  if (req.query.lang) return String(req.query.lang).split(',').map(l => l.trim()).filter(Boolean);
+  return req.acceptsLanguages().filter(lang => lang !== '*');
+}
+
+// Routes served for one agency, mounted at /agencies/:agency (and at / for the default agency)
+export function createAgencyRouter(agency) {
+  const station = agency.config.station;
+  const router = express.Router();
+
+  function noStationError() {
+    return { error: `No station configured for agency ${agency.id}. Pass a stop ID instead.` };
+  }
+
+  // GTFS direction names from directions.txt plus configured legacy aliases
+  function isValidDirection(direction) {
+    return agency.transit.getValidDirections().has(direction);
+  }
+
+  function invalidDirectionError() {
+    const valid = Array.from(agency.transit.getValidDirections()).map(d => `"${d}"`).join(', ');
+    return { error: `Invalid direction. Use one of ${valid}.` };
+  }
+
+  // "HH:MM" is read as today in the agency timezone; anything else must be a parseable date
+  function parseDepartTime(value) {
+    if (!value) return agency.clock.date();
+    if (/^\d{1,2}:\d{2}$/.test(value)) {
+      const time = agency.calendar.toTimestamp(agency.calendar.getServiceDate(), `${value}:00`);
+      return new Date(time * 1000);
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Serves a memoized payload with an ETag and a max-age that runs until the
+  // next expected feed refresh; 304 when the client's copy is still current
+  // send renders the body; JSON unless a route negotiates another format
+  async function sendCached(req, res, scope, key, build, send = body => res.json(body)) {
+    const cache = agency.responseCache;
+    const version = cache.getVersion(scope);
+    res.set({
+      'ETag': cache.etag(key, version),
+      'Cache-Control': `${config.auth.requireRead ? 'private' : 'public'}, max-age=${cache.getMaxAge(scope)}`
+    });
+    res.vary('Accept-Language');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    let body = cache.get(key, version);
+    if (!body) {
+      try {
+        body = await build();
+      } catch (error) {
+        // Error responses must not carry the validators of a payload never sent
+        res.removeHeader('ETag');
+        res.removeHeader('Cache-Control');
+        throw error;
+      }
+      cache.set(key, version, body);
+    }
+    send(body);
+  }
+
+  // ?format= wins over the Accept header; unknown Accept values get JSON
+  function getArrivalFormat(req) {
+    if (req.query.format) {
+      return Object.hasOwn(ARRIVAL_FORMATS, req.query.format) ? req.query.format : null;
+    }
+    return NEGOTIATED_FORMATS[req.accepts(Object.keys(NEGOTIATED_FORMATS))] || 'json';
+  }
+
+  function sendArrivals(req, res, format, body) {
+    if (format === 'json') {
+      return res.json(body);
+    }
+    const width = Math.min(Math.max(parseInt(req.query.width) || config.display.ledWidth, 8), config.display.maxLedWidth);
+    res.type(ARRIVAL_FORMATS[format]).send(renderArrivals(format, body, {
+      timeZone: agency.calendar.getTimezone(),
+      refreshSeconds: Math.max(Math.round(agency.config.refreshInterval / 1000), 5),
+      width
+    }));
+  }
+
+  // Health and status of this agency's feeds
+  router.get('/health', (req, res) => {
+    const health = getAgencyHealth(agency);
+    res.status(health.healthy ? 200 : 503).json({
+      status: health.healthy ? 'healthy' : 'degraded',
+      timestamp: new Date().toISOString(),
+      agency: agency.id,
+      monitor: health.monitor,
+      staticDataLoaded: health.staticDataLoaded,
+      feed: health.feed,
+      ...(health.warnings.length > 0 && { warnings: health.warnings })
+    });
+  });
+
+  router.get('/status', (req, res) => {
+    res.json(getAgencyStatus(agency));
+  });
+
+  // Get configured station info
+  router.get('/station', async (req, res) => {
+    try {
+      if (!station) {
+        return res.status(400).json(noStationError());
+      }
+      const direction = req.query.direction?.toLowerCase() || station.direction;
+      if (req.query.direction && !isValidDirection(direction)) {
+        return res.status(400).json(invalidDirectionError());
+      }
+      const languages = getLanguages(req);
+      await sendCached(req, res, 'realtime', ['station', station.id, direction, languages], () =>
+        agency.transit.getStopInfo(station.id, direction, { languages }));
+    } catch (error) {
+      res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Get any station info by ID
+  router.get('/station/:stopId', async (req, res) => {
+    try {
+      const stopId = req.params.stopId;
+      const direction = req.query.direction?.toLowerCase() || null;
+      if (direction && !isValidDirection(direction)) {
+        return res.status(400).json(invalidDirectionError());
+      }
+      const languages = getLanguages(req);
+      const group = req.query.group === 'platform';
+      const fare = req.query.fare === 'true' && station && stopId !== station.id;
+
+      await sendCached(req, res, 'realtime', ['station', stopId, direction, languages, group, fare], async () => {
+        const stopInfo = await agency.transit.getStopInfo(stopId, direction, { languages });
+        if (group) {
+          stopInfo.platforms = agency.transit.groupByPlatform(stopInfo);
+        }
+        if (fare) {
+          try {
+            stopInfo.fareFromHome = agency.fares.getFare(station.id, stopId);
+          } catch (error) {
+            stopInfo.warnings.push(`Fare unavailable: ${error.message}`);
+          }
+        }
+        return stopInfo;
+      });
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Get next arrivals in simplified format
+  router.get('/next', async (req, res) => {
+    try {
+      const stopId = req.query.stop || station?.id;
+      if (!stopId) {
+        return res.status(400).json(noStationError());
+      }
+      const direction = req.query.direction?.toLowerCase() || station?.direction || null;
+      if (req.query.direction && !isValidDirection(direction)) {
+        return res.status(400).json(invalidDirectionError());
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 4, 1), 20);
+      const format = getArrivalFormat(req);
+      if (!format) {
+        return res.status(400).json({
+          error: `Unknown format "${req.query.format}". Use one of: ${Object.keys(ARRIVAL_FORMATS).join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const languages = getLanguages(req);
+      res.vary('Accept');
+
+      // The width only changes the LED rendering, so it only splits the cache there
+      const key = ['next', stopId, direction, limit, languages, format, format === 'led' ? req.query.width || null : null];
+      await sendCached(req, res, 'realtime', key, async () => {
+        const stopInfo = await agency.transit.getStopInfo(stopId, direction, { languages });
+
+        const nextArrivals = stopInfo.upcomingTrips.slice(0, limit).map(trip => {
+          const destination = agency.transit.getDestination(trip.headsign, trip.directionName);
+          let status = trip.minutesUntilArrival <= 1 ? 'arriving' : 'scheduled';
+          if (trip.status === 'cancelled') status = 'cancelled';
+
+          const arrival = {
+            destination: destination.name,
+            shortDestination: destination.shortName,
+            minutesUntilArrival: trip.minutesUntilArrival,
+            status: status,
+            source: trip.source
+          };
+
+          if (stopInfo.stop.platforms) {
+            arrival.platform = trip.platform;
+          }
+          if (trip.vehicleLabel) {
+            arrival.vehicle = trip.vehicleLabel;
+          }
+          if (trip.occupancyStatus !== undefined) {
+            arrival.occupancy = trip.occupancyStatus;
+          }
+
+          return arrival;
+        });
+
+        return {
+          station: stopInfo.stop.name,
+          platform: stopInfo.stop.platform,
+          direction: direction || 'all',
+          nextArrivals: nextArrivals,
+          lastUpdated: stopInfo.lastUpdated,
+          ...(stopInfo.warnings.length > 0 && { warnings: stopInfo.warnings })
+        };
+      }, body => sendArrivals(req, res, format, body));
+
+    } catch (error) {
+      res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Stream arrivals for a station via Server-Sent Events
+  router.get('/stream/station/:stopId', async (req, res) => {
+    const stopId = req.params.stopId;
+    const direction = req.query.direction?.toLowerCase() || null;
+    if (direction && !isValidDirection(direction)) {
+      return res.status(400).json(invalidDirectionError());
+    }
+    if (!agency.staticData.resolveStop(stopId)) {
+      return res.status(404).json({
+        error: `Stop ${stopId} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (agency.stream.isFull()) {
+      return res.status(503).json({
+        error: 'Too many stream subscribers',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 4, 1), 20);
+    await agency.stream.subscribe(req, res, { stopId, direction, limit, languages: getLanguages(req) });
+  });
+
+  // Re-publish the cached GTFS-realtime feeds
+  function serveGtfsRt(type) {
+    return (req, res) => {
+      const wantsJson = req.query.format
+        ? req.query.format === 'json'
+        : req.accepts(['application/x-protobuf', 'application/json']) === 'application/json';
+      const filters = {
+        route: req.query.route,
+        stop: req.query.stop,
+        trip: req.query.trip,
+        format: wantsJson ? 'json' : 'protobuf'
+      };
+
+      const result = agency.gtfsRt.getFeed(type, filters);
+      if (!result) {
+        return res.status(503).json({
+          error: `Real-time ${type} feed unavailable`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Express answers If-None-Match / If-Modified-Since with 304 from these headers
+      res.set({
+        'ETag': result.etag,
+        'Last-Modified': result.lastModified.toUTCString(),
+        'Vary': 'Accept'
+      });
+
+      if (wantsJson) {
+        return res.json(agency.gtfsRt.toJSON(result.feed));
+      }
+      res.type('application/x-protobuf').send(agency.gtfsRt.encode(result.feed));
+    };
+  }
+
+  router.get('/gtfsrt/tripupdates', serveGtfsRt('trips'));
+  router.get('/gtfsrt/alerts', serveGtfsRt('alerts'));
+
+  // Service alerts
+  router.get('/alerts', (req, res) => {
+    try {
+      const alerts = agency.alerts.getAlerts({
+        route: req.query.route,
+        stop: req.query.stop,
+        languages: getLanguages(req),
+        includeInactive: req.query.includeInactive === 'true'
+      });
+      const status = agency.monitor.getStatus().alerts;
+      res.json({
+        alerts,
+        count: alerts.length,
+        lastUpdated: status.lastUpdate ? status.lastUpdate.toISOString() : null,
+        ...(status.error && { warnings: [`Real-time alerts data unavailable: ${status.error}`] })
+      });
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Live train tracking
+  router.get('/trains', (req, res) => {
+    const trains = agency.trains.getTrains({ route: req.query.route });
+    const status = agency.monitor.getStatus().trips;
+    res.json({
+      trains,
+      count: trains.length,
+      lastUpdated: status.lastUpdate ? status.lastUpdate.toISOString() : null,
+      ...(!status.hasData && { warnings: ['Real-time trip data unavailable'] })
+    });
+  });
+
+  router.get('/trains/:tripId', (req, res) => {
+    try {
+      res.json(agency.trains.getTrain(req.params.tripId));
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Departure board for several stops at once: ?stops=M20-1,M20-2,EMBR, or a board
+  // named in config. limit is per platform, perDestination per destination line.
+  async function sendBoard(req, res, board) {
+    try {
+      const stops = req.query.stops
+        ? String(req.query.stops).split(',').map(stop => stop.trim()).filter(Boolean)
+        : board?.stops;
+      if (!stops || stops.length === 0) {
+        return res.status(400).json({ error: 'Pass stops=<stop or station IDs, comma-separated>.' });
+      }
+      const direction = req.query.direction?.toLowerCase() || board?.direction || null;
+      if (direction && !isValidDirection(direction)) {
+        return res.status(400).json(invalidDirectionError());
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || board?.limit || config.board.defaultLimit, 1),
+        config.board.maxLimit);
+      const perDestination = parseInt(req.query.perDestination) || board?.perDestination || null;
+      const languages = getLanguages(req);
+
+      // The name is part of the body, so named and ad hoc boards over the same stops differ
+      const key = ['board', board && req.params.name, stops, direction, limit, perDestination, languages];
+      await sendCached(req, res, 'realtime', key, async () => ({
+        ...(board && { board: req.params.name }),
+        ...await agency.boards.getBoard({ stops, direction, limit, perDestination, languages })
+      }));
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  router.get('/board', (req, res) => sendBoard(req, res, null));
+
+  router.get('/board/:name', (req, res) => {
+    const board = agency.config.boards[req.params.name];
+    if (!board) {
+      return res.status(404).json({
+        error: `Board ${req.params.name} not found`,
+        available: Object.keys(agency.config.boards),
+        timestamp: new Date().toISOString()
+      });
+    }
+    return sendBoard(req, res, board);
+  });
+
+  // A trip's full stop sequence with live predictions (?date=YYYYMMDD for another run)
+  router.get('/trips/:tripId', (req, res) => {
+    try {
+      if (req.query.date && !agency.calendar.isValidServiceDate(req.query.date)) {
+        return res.status(400).json({ error: 'Invalid date. Use YYYYMMDD.' });
+      }
+      const status = agency.monitor.getStatus().trips;
+      res.json({
+        ...agency.trips.getTrip(req.params.tripId, { serviceDate: req.query.date }),
+        lastUpdated: status.lastUpdate ? status.lastUpdate.toISOString() : null
+      });
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Routes and line geometry
+  router.get('/routes', (req, res) => {
+    const routes = agency.routes.getRoutes();
+    res.json({ routes, count: routes.length });
+  });
+
+  router.get('/routes/:routeId/shape', (req, res) => {
+    try {
+      const tolerance = req.query.tolerance !== undefined ? parseFloat(req.query.tolerance) : 0;
+      if (isNaN(tolerance) || tolerance < 0) {
+        return res.status(400).json({ error: 'Invalid tolerance. Use a non-negative number of meters.' });
+      }
+      res.type('application/geo+json').json(agency.routes.getRouteShape(req.params.routeId, tolerance));
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // List all stops
+  router.get('/stops', async (req, res) => {
+    try {
+      const hierarchy = req.query.hierarchy === 'true';
+      await sendCached(req, res, 'static', ['stops', hierarchy], () => listStops(hierarchy));
+    } catch (error) {
+      res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Stations near a point, nearest first (?lat=&lon=&radius=meters&limit=&departures=N)
+  router.get('/stops/nearby', async (req, res) => {
+    try {
+      const lat = parseFloat(req.query.lat);
+      const lon = parseFloat(req.query.lon);
+      if (!(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180)) {
+        return res.status(400).json({ error: 'Valid "lat" and "lon" are required.' });
+      }
+      const options = config.stopSearch;
+      const requestedRadius = req.query.radius === undefined ? options.defaultRadius : parseFloat(req.query.radius);
+      if (!(requestedRadius > 0)) {
+        return res.status(400).json({ error: '"radius" must be a positive number of meters.' });
+      }
+      const radius = Math.min(requestedRadius, options.maxRadius);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || options.defaultLimit, 1), options.maxLimit);
+      const departures = Math.min(Math.max(parseInt(req.query.departures) || 0, 0), options.maxDepartures);
+
+      const scope = departures > 0 ? 'realtime' : 'static';
+      await sendCached(req, res, scope, ['nearby', lat, lon, radius, limit, departures], async () => {
+        const stations = await agency.stops.getNearby({ lat, lon, radius, limit, departures });
+        return { lat, lon, radius, stations, count: stations.length };
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Fuzzy station search over stop_name and stop_code (?q=montgo&limit=)
+  router.get('/stops/search', async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter "q" is required.' });
+    }
+    const options = config.stopSearch;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || options.defaultLimit, 1), options.maxLimit);
+
+    try {
+      await sendCached(req, res, 'static', ['search', q.toLowerCase(), limit], () => {
+        const stations = agency.stops.search(q, limit);
+        return { q, stations, count: stations.length };
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  function listStops(hierarchy) {
+    const formatStop = stop => ({
+      id: stop.stop_id,
+      name: stop.stop_name,
+      code: stop.stop_code,
+      platform: stop.platform_code
+    });
+
+    if (hierarchy) {
+      const stations = agency.staticData.getAllStops()
+        .filter(stop => stop.location_type === '1' || !stop.parent_station)
+        .map(station => ({
+          id: station.stop_id,
+          name: station.stop_name,
+          code: station.stop_code,
+          lat: parseFloat(station.stop_lat),
+          lon: parseFloat(station.stop_lon),
+          platforms: agency.staticData.getStationPlatforms(station.stop_id)
+            .map(id => formatStop(agency.staticData.getStop(id)))
+        }));
+      return { stations, count: stations.length };
+    }
+
+    const stops = agency.staticData.getAllStops().map(formatStop);
+    return { stops, count: stops.length };
+  }
+
+  // Trip planner between two stations
+  router.get('/plan', (req, res) => {
+    try {
+      const { from, to } = req.query;
+      if (!from || !to) {
+        return res.status(400).json({ error: 'Both "from" and "to" stop IDs are required.' });
+      }
+
+      const depart = parseDepartTime(req.query.depart);
+      if (!depart) {
+        return res.status(400).json({ error: 'Invalid depart. Use an ISO 8601 timestamp or HH:MM.' });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 3, 1), config.planner.maxItineraries);
+      res.json(agency.planner.plan(from, to, depart, limit));
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Fare between two stations
+  router.get('/fare', (req, res) => {
+    try {
+      const { from, to } = req.query;
+      if (!from || !to) {
+        return res.status(400).json({ error: 'Both "from" and "to" stop IDs are required.' });
+      }
+      res.json(agency.fares.getFare(from, to));
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Active service for a date
+  router.get('/service', (req, res) => {
+    const date = req.query.date || agency.calendar.getServiceDate();
+    if (!agency.calendar.isValidServiceDate(date)) {
+      return res.status(400).json({ error: 'Invalid date. Use YYYYMMDD.' });
+    }
+    res.json(agency.calendar.getServiceDay(date));
+  });
+
+  // On-time performance from recorded delays, e.g. /stats/ontime?route=Yellow&stop=MONT
+  router.get('/stats/ontime', async (req, res) => {
+    try {
+      const to = req.query.to || agency.calendar.getServiceDate();
+      const from = req.query.from || shiftServiceDate(to, -6);
+      if (!agency.calendar.isValidServiceDate(from) || !agency.calendar.isValidServiceDate(to)) {
+        return res.status(400).json({ error: 'Invalid from/to date. Use YYYYMMDD.' });
+      }
+      if (from > to) {
+        return res.status(400).json({ error: '"from" must not be after "to".' });
+      }
+      if (shiftServiceDate(from, config.stats.maxDays) <= to) {
+        return res.status(400).json({ error: `Date range is limited to ${config.stats.maxDays} days.` });
+      }
+
+      res.json(await agency.delayHistory.getOnTime({ route: req.query.route, stop: req.query.stop, from, to }));
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 500;
+      res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Update endpoint
+  router.post('/update', requireScope('admin'), async (req, res) => {
+    try {
+      const result = await agency.updater.checkForUpdates();
+      if (!result) {
+        return res.status(409).json({
+          error: 'GTFS update already in progress',
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (result.outcome === 'failed') {
+        return res.status(500).json({ error: result.error, result, timestamp: result.timestamp });
+      }
+      res.json({ status: 'Update executed', result, timestamp: new Date().toISOString() });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Restore a retained static feed version (body or query "version"; defaults to the previous one)
+  router.post('/update/rollback', requireScope('admin'), async (req, res) => {
+    try {
+      const result = await agency.updater.rollback(req.body?.version || req.query.version);
+      res.json({ status: 'Rollback executed', result, timestamp: new Date().toISOString() });
+    } catch (error) {
+      let status = 500;
+      if (error.message.includes('not found')) status = 404;
+      else if (/in progress|already active|No previous version/.test(error.message)) status = 409;
+      res.status(status).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  return router;
+}
+
+// Healthy when the trips feed has refreshed within the last 5 minutes. An expired
+// or expiring static feed is reported as a warning without failing the check.
+export function getAgencyHealth(agency) {
+  const status = agency.monitor.getStatus();
+  const tripsAge = status.trips.lastUpdate
+    ? agency.clock.now() - status.trips.lastUpdate.getTime()
+    : Infinity;
+
+  const feed = agency.calendar.getFeedValidity();
+  const warnings = [];
+  if (feed.status === 'expired') {
+    warnings.push(`Static GTFS feed expired on ${feed.endDate}`);
+  } else if (feed.status === 'expiring') {
+    warnings.push(`Static GTFS feed expires on ${feed.endDate} (${feed.daysRemaining} days)`);
+  }
+
+  return {
+    healthy: agency.started && status.trips.hasData && tripsAge < 300_000,
+    monitor: status,
+    staticDataLoaded: agency.staticData.getStats(),
+    feed,
+    warnings
+  };
+}
+
+export function getAgencyStatus(agency) {
+  return {
+    ...agency.monitor.getStatus(),
+    realtime: agency.transit.getRealtimeSummary(),
+    ...(agency.recorder && { recording: agency.recorder.getStatus() }),
+    ...(agency.replayer && { replay: agency.replayer.getStatus() }),
+    delayHistory: agency.delayHistory.getStatus(),
+    staticData: agency.updater.getStatus()
+  };
+}
@@ -0,0 +1,175 @@
+import { config } from '../config/config.js';
+import logger from '../lib/logger.js';
+import { Clock } from '../lib/clock.js';
+import { StaticDataService } from './StaticDataService.js';
+import { GtfsMonitor } from './GtfsMonitor.js';
+import { GtfsUpdater } from './GtfsUpdater.js';
+import { CalendarService } from './CalendarService.js';
+import { AlertService } from './AlertService.js';
+import { TransitService } from './TransitService.js';
+import { PlannerService } from './PlannerService.js';
+import { FareService } from './FareService.js';
+import { StreamService } from './StreamService.js';
+import { GtfsRtService } from './GtfsRtService.js';
+import { TrainService } from './TrainService.js';
+import { RouteService } from './RouteService.js';
+import { ResponseCache } from './ResponseCache.js';
+import { FeedRecorder, FeedReplayer } from './FeedArchive.js';
+import { DelayHistoryService } from './DelayHistoryService.js';
+import { TripService } from './TripService.js';
+import { BoardService } from './BoardService.js';
+import { StopService } from './StopService.js';
+
+const log = logger.child({ service: 'agency-registry' });
+
+// One agency's static data, real-time monitor and the services built on them
+export class Agency {
+    constructor(agency) {
+        this.id = agency.id;
+        this.config = agency;
+
+        this.clock = new Clock();
+        this.staticData = new StaticDataService(agency);
+        this.recorder = agency.archive.record ? new FeedRecorder(agency) : null;
+        this.monitor = new GtfsMonitor(agency, { clock: this.clock, recorder: this.recorder });
+        this.replayer = agency.replay ? new FeedReplayer({ agency, monitor: this.monitor, clock: this.clock }) : null;
+        this.calendar = new CalendarService({ staticData: this.staticData, clock: this.clock });
+        this.updater = new GtfsUpdater({ agency, staticData: this.staticData, calendar: this.calendar, clock: this.clock });
+        this.alerts = new AlertService({ staticData: this.staticData, monitor: this.monitor, clock: this.clock });
+        this.transit = new TransitService({
+            agency,
+            staticData: this.staticData,
+            monitor: this.monitor,
+            calendar: this.calendar,
+            alerts: this.alerts,
+            clock: this.clock
+        });
+        this.planner = new PlannerService({ staticData: this.staticData, calendar: this.calendar, transit: this.transit });
+        this.fares = new FareService({ staticData: this.staticData });
+        this.stream = new StreamService({ agency, monitor: this.monitor, transit: this.transit });
+        this.gtfsRt = new GtfsRtService({ staticData: this.staticData, monitor: this.monitor });
+        this.trains = new TrainService({
+            staticData: this.staticData,
+            calendar: this.calendar,
+            transit: this.transit,
+            monitor: this.monitor,
+            clock: this.clock
+        });
+        this.routes = new RouteService({ staticData: this.staticData });
+        this.boards = new BoardService({ staticData: this.staticData, transit: this.transit });
+        this.stops = new StopService({ staticData: this.staticData, transit: this.transit });
+        this.trips = new TripService({
+            staticData: this.staticData,
+            calendar: this.calendar,
+            transit: this.transit,
+            clock: this.clock
+        });
+        this.delayHistory = new DelayHistoryService({
+            agency,
+            staticData: this.staticData,
+            calendar: this.calendar,
+            transit: this.transit,
+            monitor: this.monitor,
+            clock: this.clock
+        });
+        this.responseCache = new ResponseCache({
+            agency,
+            staticData: this.staticData,
+            monitor: this.monitor,
+            clock: this.clock
+        });
+
+        this.started = false;
+        this.startError = null;
+    }
+
+    async start() {
+        // Download GTFS data if not present
+        if (!this.staticData.hasData()) {
+            log.info({ agency: this.id }, 'No GTFS static data found. Downloading...');
+            await this.updater.checkForUpdates();
+        }
+
+        await this.staticData.load();
+        await this.delayHistory.start();
+        if (this.replayer) {
+            await this.replayer.start();
+        } else {
+            this.monitor.start();
+        }
+        this.updater.start();
+        this.stream.start();
+        this.started = true;
+    }
+
+    // Also detaches the metrics collectors and feed listeners the services
+    // registered when built, so a rebuilt agency doesn't leave this one reporting
+    stop() {
+        if (this.started) {
+            this.replayer?.stop();
+            this.monitor.stop();
+            this.updater.stop();
+            this.stream.stop();
+            this.delayHistory.stop();
+            this.started = false;
+        }
+        [this.staticData, this.monitor, this.updater, this.transit, this.responseCache].forEach(service => service.close());
+    }
+
+    getSummary() {
+        return {
+            id: this.id,
+            name: this.config.name,
+            timezone: this.staticData.initialized ? this.staticData.getTimezone() : this.config.timezone,
+            station: this.config.station,
+            feeds: {
+                trips: this.config.realtime.trips,
+                alerts: this.config.realtime.alerts,
+                vehicles: this.config.realtime.vehicles
+            },
+            mode: this.replayer ? 'replay' : 'live',
+            started: this.started,
+            ...(this.startError && { error: this.startError.message })
+        };
+    }
+}
+
+class AgencyRegistry {
+    constructor(agencies, defaultId) {
+        this.agencies = new Map(agencies.map(agency => [agency.id, new Agency(agency)]));
+        this.defaultId = defaultId;
+    }
+
+    get(id) {
+        return this.agencies.get(id);
+    }
+
+    getDefault() {
+        return this.agencies.get(this.defaultId);
+    }
+
+    getAll() {
+        return Array.from(this.agencies.values());
+    }
+
+    // A failing agency is logged and left stopped so the others still serve;
+    // only the default agency is required to come up
+    async startAll() {
+        for (const agency of this.agencies.values()) {
+            try {
+                await agency.start();
+                log.info({ agency: agency.id, stats: agency.staticData.getStats() }, 'Agency started');
+            } catch (error) {
+                agency.startError = error;
+                if (agency.id === this.defaultId) throw error;
+                log.error({ agency: agency.id, err: error.message }, 'Agency failed to start');
+            }
+        }
+    }
+
+    stopAll() {
+        this.agencies.forEach(agency => agency.stop());
+    }
+}
+
+export const agencyRegistry = new AgencyRegistry(config.agencies, config.defaultAgency);
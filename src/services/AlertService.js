@@ -0,0 +1,145 @@
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+
+const { Alert } = GtfsRealtimeBindings.transit_realtime;
+
+function enumNames(values) {
+    return Object.fromEntries(Object.entries(values).map(([name, value]) => [value, name]));
+}
+
+const CAUSES = enumNames(Alert.Cause);
+const EFFECTS = enumNames(Alert.Effect);
+const SEVERITIES = enumNames(Alert.SeverityLevel);
+
+export class AlertService {
+    constructor({ staticData, monitor, clock }) {
+        this.staticData = staticData;
+        this.monitor = monitor;
+        this.clock = clock;
+    }
+
+    // Filters: route, stop (platform, station or stop_code), trips (array of trip IDs),
+    // languages (preference order) and includeInactive
+    getAlerts({ route, stop, trips = [], languages = [], includeInactive = false } = {}) {
+        const alertsFeed = this.monitor.getAlerts();
+        if (!alertsFeed) return [];
+
+        const context = this._buildContext(route, stop, trips);
+        const now = this.clock.seconds();
+
+        return alertsFeed.entity
+            .filter(entity => entity.alert)
+            .filter(entity => includeInactive || this._isActive(entity.alert, now))
+            .filter(entity => !context || this._matches(entity.alert, context))
+            .map(entity => this._format(entity, languages));
+    }
+
+    // Stop filters also pick up alerts for routes serving the stop and for the whole agency
+    _buildContext(route, stop, trips) {
+        if (!route && !stop && trips.length === 0) return null;
+
+        const stopIds = new Set();
+        const routeIds = new Set();
+
+        if (stop) {
+            const resolved = this.staticData.resolveStop(stop);
+            if (!resolved) {
+                throw new Error(`Stop ${stop} not found`);
+            }
+            stopIds.add(resolved.stop_id);
+
+            const platforms = resolved.location_type === '1'
+                ? this.staticData.getStationPlatforms(resolved.stop_id)
+                : [resolved.stop_id];
+            if (resolved.parent_station) stopIds.add(resolved.parent_station);
+
+            platforms.forEach(id => {
+                stopIds.add(id);
+                this.staticData.getRoutesForStop(id).forEach(routeId => routeIds.add(routeId));
+            });
+        }
+
+        return {
+            stopIds,
+            routeIds,
+            route: route || null,
+            tripIds: new Set(trips),
+            agencyIds: new Set(this.staticData.getAgencyIds())
+        };
+    }
+
+    _isActive(alert, now) {
+        if (!alert.activePeriod || alert.activePeriod.length === 0) return true;
+        return alert.activePeriod.some(period => {
+            const start = period.start ? Number(period.start) : 0;
+            const end = period.end ? Number(period.end) : Infinity;
+            return start <= now && now <= end;
+        });
+    }
+
+    _matches(alert, context) {
+        return (alert.informedEntity || []).some(ie => {
+            const tripId = ie.trip?.tripId;
+            const routeId = ie.routeId || ie.trip?.routeId;
+
+            if (context.route && routeId && routeId !== context.route) return false;
+
+            if (tripId) return context.tripIds.has(tripId) ||
+                (!!context.route && this.staticData.getTrip(tripId)?.route_id === context.route);
+
+            if (ie.stopId) {
+                if (context.stopIds.size > 0) return context.stopIds.has(ie.stopId);
+                return !!context.route && routeId === context.route;
+            }
+
+            if (routeId) return routeId === context.route || context.routeIds.has(routeId);
+
+            // Agency-wide entity
+            return !!ie.agencyId && (context.agencyIds.has(ie.agencyId) || context.agencyIds.has(''));
+        });
+    }
+
+    _format(entity, languages) {
+        const alert = entity.alert;
+        const header = this._translate(alert.headerText, languages);
+
+        return {
+            id: entity.id,
+            header: header?.text || 'Alert',
+            description: this._translate(alert.descriptionText, languages)?.text || '',
+            url: this._translate(alert.url, languages)?.text || null,
+            language: header?.language || null,
+            cause: CAUSES[alert.cause] || null,
+            effect: EFFECTS[alert.effect] || null,
+            severity: SEVERITIES[alert.severityLevel] || null,
+            activePeriod: alert.activePeriod?.map(ap => ({
+                start: ap.start ? new Date(Number(ap.start) * 1000).toISOString() : null,
+                end: ap.end ? new Date(Number(ap.end) * 1000).toISOString() : null
+            })) || [],
+            informedEntities: (alert.informedEntity || []).map(ie => ({
+                agencyId: ie.agencyId || null,
+                routeId: ie.routeId || null,
+                stopId: ie.stopId || null,
+                tripId: ie.trip?.tripId || null
+            }))
+        };
+    }
+
+    // Exact language match first, then primary subtag ("en-US" -> "en"),
+    // then an untagged translation, then whatever comes first
+    _translate(translatedString, languages) {
+        const translations = translatedString?.translation;
+        if (!translations || translations.length === 0) return null;
+
+        for (const lang of languages) {
+            const wanted = lang.toLowerCase();
+            const exact = translations.find(t => t.language?.toLowerCase() === wanted);
+            if (exact) return exact;
+
+            const primary = wanted.split('-')[0];
+            const partial = translations.find(t => t.language?.toLowerCase().split('-')[0] === primary);
+            if (partial) return partial;
+        }
+
+        return translations.find(t => !t.language) || translations[0];
+    }
+}
@@ -0,0 +1,119 @@
+// Departure board across several stops: arrivals grouped by station, then
+// platform, then destination line (route + headsign), with alerts and
+// warnings merged across stops. Built on TransitService.getStopInfo(), which
+// reads the shared real-time index rather than rescanning the feed.
+export class BoardService {
+    constructor({ staticData, transit }) {
+        this.staticData = staticData;
+        this.transit = transit;
+    }
+
+    // limit caps arrivals per platform; perDestination caps each destination line
+    async getBoard({ stops, direction = null, limit, perDestination = null, languages = [] }) {
+        const stations = new Map();
+        const alerts = new Map();
+        const warnings = new Set();
+        let lastUpdated = null;
+
+        for (const stopId of stops) {
+            const stopInfo = await this.transit.getStopInfo(stopId, direction, { languages });
+            stopInfo.alerts.forEach(alert => alerts.set(alert.id, alert));
+            stopInfo.warnings.forEach(warning => warnings.add(warning));
+            if (!lastUpdated || stopInfo.lastUpdated > lastUpdated) lastUpdated = stopInfo.lastUpdated;
+
+            stopInfo.upcomingTrips.forEach(trip => {
+                const platform = this._getPlatform(stations, trip.stopId);
+                // A station and one of its platforms may both be on the board
+                if (platform.tripIds.has(trip.tripId)) return;
+                platform.tripIds.add(trip.tripId);
+                platform.trips.push(trip);
+            });
+
+            // Platforms with nothing due still get a (empty) row on the board
+            (stopInfo.stop.platforms?.map(p => p.id) || [stopInfo.stop.id]).forEach(id => this._getPlatform(stations, id));
+        }
+
+        return {
+            stops,
+            direction: direction || 'all',
+            stations: Array.from(stations.values()).map(station => ({
+                id: station.id,
+                name: station.name,
+                platforms: Array.from(station.platforms.values()).map(platform =>
+                    this._formatPlatform(platform, limit, perDestination))
+            })),
+            alerts: Array.from(alerts.values()),
+            lastUpdated,
+            ...(warnings.size > 0 && { warnings: Array.from(warnings) })
+        };
+    }
+
+    _getPlatform(stations, stopId) {
+        const stop = this.staticData.getStop(stopId);
+        const station = stop?.parent_station ? this.staticData.getStop(stop.parent_station) : stop;
+        const stationId = station?.stop_id || stopId;
+
+        if (!stations.has(stationId)) {
+            stations.set(stationId, { id: stationId, name: station?.stop_name || stopId, platforms: new Map() });
+        }
+        const platforms = stations.get(stationId).platforms;
+        if (!platforms.has(stopId)) {
+            platforms.set(stopId, {
+                id: stopId,
+                platform: stop?.platform_code || null,
+                trips: [],
+                tripIds: new Set()
+            });
+        }
+        return platforms.get(stopId);
+    }
+
+    // Trips are capped per destination line before the platform total, so a
+    // line whose first train comes after `limit` others still gets its row
+    _formatPlatform(platform, limit, perDestination) {
+        const perLine = new Map();
+        const trips = [];
+        platform.trips
+            .sort((a, b) => new Date(a.estimatedArrival) - new Date(b.estimatedArrival))
+            .forEach(trip => {
+                const key = `${trip.routeId}|${trip.headsign}`;
+                const count = perLine.get(key) || 0;
+                if (perDestination && count >= perDestination) return;
+                perLine.set(key, count + 1);
+                trips.push(trip);
+            });
+        trips.splice(limit);
+
+        const destinations = new Map();
+        trips.forEach(trip => {
+            const key = `${trip.routeId}|${trip.headsign}`;
+            if (!destinations.has(key)) {
+                destinations.set(key, {
+                    destination: this.transit.getDestinationName(trip.headsign, trip.directionName),
+                    headsign: trip.headsign,
+                    routeId: trip.routeId,
+                    routeName: trip.routeName,
+                    routeColor: trip.routeColor,
+                    routeTextColor: trip.routeTextColor,
+                    directionName: trip.directionName,
+                    arrivals: []
+                });
+            }
+            destinations.get(key).arrivals.push({
+                tripId: trip.tripId,
+                minutesUntilArrival: trip.minutesUntilArrival,
+                estimatedArrival: trip.estimatedArrival,
+                delay: trip.delay,
+                status: trip.status || 'scheduled',
+                source: trip.source,
+                ...(trip.vehicleLabel && { vehicle: trip.vehicleLabel })
+            });
+        });
+
+        return {
+            id: platform.id,
+            platform: platform.platform,
+            destinations: Array.from(destinations.values())
+        };
+    }
+}
@@ -0,0 +1,141 @@
+import { config } from '../config/config.js';
+import {
+    getServiceDayStart,
+    getWeekday,
+    parseGtfsTime,
+    parseServiceDate,
+    shiftServiceDate,
+    toServiceDate
+} from '../lib/time.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export class CalendarService {
+    constructor({ staticData, clock }) {
+        this.staticData = staticData;
+        this.clock = clock;
+        this._cache = new Map();
+        this._cacheSource = null;
+    }
+
+    getTimezone() {
+        return this.staticData.getTimezone();
+    }
+
+    // Service date (YYYYMMDD) in the agency timezone for the given instant
+    getServiceDate(date = this.clock.date()) {
+        return toServiceDate(date, this.getTimezone());
+    }
+
+    isValidServiceDate(serviceDate) {
+        return parseServiceDate(serviceDate) !== null;
+    }
+
+    getActiveServiceIds(serviceDate) {
+        // Static data reloads swap in a new calendar map, which invalidates the cache
+        if (this._cacheSource !== this.staticData.calendar) {
+            this._cache.clear();
+            this._cacheSource = this.staticData.calendar;
+        }
+
+        let active = this._cache.get(serviceDate);
+        if (!active) {
+            active = this._resolveServices(serviceDate).active;
+            this._cache.set(serviceDate, active);
+        }
+        return active;
+    }
+
+    // Service days that may still have trips running at the given instant:
+    // yesterday's (times past 24:00:00) and today's
+    getRunningServiceDates(date = this.clock.date()) {
+        const today = this.getServiceDate(date);
+        return [shiftServiceDate(today, -1), today];
+    }
+
+    getServiceDayStart(serviceDate) {
+        return getServiceDayStart(serviceDate, this.getTimezone());
+    }
+
+    // Epoch seconds for a GTFS "HH:MM:SS" time on the given service day
+    toTimestamp(serviceDate, gtfsTime) {
+        const offset = parseGtfsTime(gtfsTime);
+        if (offset === null) return null;
+        return Math.floor(this.getServiceDayStart(serviceDate) / 1000) + offset;
+    }
+
+    getServiceDay(serviceDate) {
+        const { active, added, removed } = this._resolveServices(serviceDate);
+
+        const describe = serviceId => ({
+            serviceId,
+            description: this.staticData.getServiceDescription(serviceId)
+        });
+
+        return {
+            date: serviceDate,
+            weekday: WEEKDAYS[getWeekday(serviceDate)],
+            timezone: this.getTimezone(),
+            serviceDayStart: new Date(this.getServiceDayStart(serviceDate)).toISOString(),
+            activeServices: Array.from(active).map(describe),
+            exceptions: {
+                added: added.map(describe),
+                removed: removed.map(describe)
+            }
+        };
+    }
+
+    // How long feed_info.txt says the loaded feed stays valid.
+    // status: "ok", "expiring" (within the warning window), "expired" or "unknown"
+    getFeedValidity(date = this.clock.date()) {
+        const feedInfo = this.staticData.getFeedInfo();
+        const endDate = feedInfo?.feed_end_date || null;
+        const validity = {
+            feedVersion: feedInfo?.feed_version || null,
+            startDate: feedInfo?.feed_start_date || null,
+            endDate,
+            daysRemaining: null,
+            status: 'unknown'
+        };
+
+        const end = parseServiceDate(endDate);
+        if (!end) return validity;
+
+        const today = parseServiceDate(this.getServiceDate(date));
+        validity.daysRemaining = Math.round(
+            (Date.UTC(end.year, end.month - 1, end.day) - Date.UTC(today.year, today.month - 1, today.day)) / 86_400_000
+        );
+        if (validity.daysRemaining < 0) validity.status = 'expired';
+        else if (validity.daysRemaining <= config.staticUpdates.expiryWarningDays) validity.status = 'expiring';
+        else validity.status = 'ok';
+        return validity;
+    }
+
+    _resolveServices(serviceDate) {
+        const active = new Set();
+        const added = [];
+        const removed = [];
+        const weekday = WEEKDAYS[getWeekday(serviceDate)];
+
+        this.staticData.getCalendarServices().forEach(service => {
+            if (service[weekday] === '1' &&
+                service.start_date <= serviceDate &&
+                service.end_date >= serviceDate) {
+                active.add(service.service_id);
+            }
+        });
+
+        // calendar_dates.txt: 1 = service added, 2 = service removed
+        this.staticData.getCalendarExceptions(serviceDate).forEach(exception => {
+            if (exception.exception_type === '1') {
+                active.add(exception.service_id);
+                added.push(exception.service_id);
+            } else if (exception.exception_type === '2') {
+                active.delete(exception.service_id);
+                removed.push(exception.service_id);
+            }
+        });
+
+        return { active, added, removed };
+    }
+}
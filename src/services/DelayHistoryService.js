@@ -0,0 +1,364 @@
+import { createReadStream, promises as fs } from 'fs';
+import { join } from 'path';
+import { createInterface } from 'readline';
+import { config } from '../config/config.js';
+import logger from '../lib/logger.js';
+import { getZonedParts, parseGtfsTime, shiftServiceDate } from '../lib/time.js';
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(Math.ceil(p / 100 * sorted.length), sorted.length) - 1];
+}
+
+function summarize(delays, threshold) {
+    if (delays.length === 0) {
+        return { observations: 0, onTimePercent: null, averageDelaySeconds: null, p50: null, p90: null, p95: null };
+    }
+    const sorted = [...delays].sort((a, b) => a - b);
+    const onTime = sorted.filter(delay => delay <= threshold).length;
+    return {
+        observations: sorted.length,
+        onTimePercent: Math.round(onTime / sorted.length * 1000) / 10,
+        averageDelaySeconds: Math.round(sorted.reduce((sum, delay) => sum + delay, 0) / sorted.length),
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p95: percentile(sorted, 95)
+    };
+}
+
+// Keeps the delay each trip actually ran with at each stop. Every trips refresh
+// updates the latest prediction per trip run and stop; once the predicted time
+// has passed it is written as an observation. Records are JSON lines appended to
+// <dir>/<agency>/<service date>.jsonl:
+//   { type: 'stop', serviceDate, tripId, routeId, stopId, stopSequence, scheduled, actual, delay }
+//   { type: 'cancelled', serviceDate, tripId, routeId, observedAt }
+export class DelayHistoryService {
+    constructor({ agency, staticData, calendar, transit, monitor, clock }) {
+        this.agency = agency;
+        this.staticData = staticData;
+        this.calendar = calendar;
+        this.transit = transit;
+        this.monitor = monitor;
+        this.clock = clock;
+        this.dir = join(config.stats.dir, agency.id);
+        this.log = logger.child({ service: 'delay-history', agency: agency.id });
+        this.pending = new Map();
+        // Service date -> keys already written, so a run is only recorded once
+        this.written = new Map();
+        this.lastError = null;
+        this._writing = Promise.resolve();
+        this._onUpdate = ({ type }) => {
+            if (type === 'trips') this._observe();
+        };
+    }
+
+    async start() {
+        if (!config.stats.enabled) return;
+        await this._loadWritten();
+        this.monitor.on('update', this._onUpdate);
+    }
+
+    stop() {
+        this.monitor.off('update', this._onUpdate);
+    }
+
+    _observe() {
+        const index = this.transit.getRealtimeIndex();
+        if (!index) return;
+
+        const now = this.clock.seconds();
+        const records = [];
+
+        index.byTrip.forEach((entry, tripId) => {
+            if (entry.cancelled) {
+                const serviceDate = this._cancelledServiceDate(entry);
+                if (serviceDate && this._markWritten(serviceDate, `${tripId}:cancelled`)) {
+                    records.push({ type: 'cancelled', serviceDate, tripId, routeId: entry.trip.route_id, observedAt: now });
+                }
+                return;
+            }
+
+            const run = this._findRun(entry);
+            if (!run) return;
+
+            entry.updates.forEach(update => {
+                const i = run.stopTimes.findIndex(st => update.stopSequence !== null
+                    ? String(update.stopSequence) === st.stop_sequence
+                    : update.stopId === st.stop_id);
+                if (i === -1) return;
+
+                const stopTime = run.stopTimes[i];
+                const time = run.times[i];
+                const scheduled = time.scheduledArrival ?? time.scheduledDeparture;
+                const actual = time.arrival ?? time.departure;
+                if (scheduled === null || actual === null) return;
+
+                const key = `${tripId}:${stopTime.stop_sequence}`;
+                if (this.written.get(run.serviceDate)?.has(key)) return;
+                this.pending.set(`${run.serviceDate}:${key}`, {
+                    key,
+                    type: 'stop',
+                    serviceDate: run.serviceDate,
+                    tripId,
+                    routeId: entry.trip.route_id,
+                    stopId: stopTime.stop_id,
+                    stopSequence: parseInt(stopTime.stop_sequence, 10),
+                    scheduled,
+                    actual,
+                    delay: actual - scheduled
+                });
+            });
+        });
+
+        this.pending.forEach(({ key, ...observation }, pendingKey) => {
+            if (observation.actual > now) return;
+            this.pending.delete(pendingKey);
+            if (this._markWritten(observation.serviceDate, key)) {
+                records.push(observation);
+            }
+        });
+
+        this._prune();
+        if (records.length > 0) this._append(records);
+    }
+
+    // The service day the feed's predictions belong to, with delay-propagated times
+    _findRun(entry) {
+        const stopTimes = this.staticData.getStopTimesForTrip(entry.trip.trip_id);
+        for (const serviceDate of this.calendar.getRunningServiceDates()) {
+            if (!this.calendar.getActiveServiceIds(serviceDate).has(entry.trip.service_id)) continue;
+
+            const dayStart = Math.floor(this.calendar.getServiceDayStart(serviceDate) / 1000);
+            const times = this.transit.predictStopTimes(stopTimes, dayStart, entry.updates);
+            if (times.length > 0 && times[0].realtime) return { serviceDate, stopTimes, times };
+        }
+        return null;
+    }
+
+    // Cancelled trips carry no predictions; use the feed's start_date, else the
+    // latest running service day the trip is scheduled on
+    _cancelledServiceDate(entry) {
+        const startDate = entry.tripUpdate.trip?.startDate;
+        if (startDate) return startDate;
+        return this.calendar.getRunningServiceDates()
+            .filter(serviceDate => this.calendar.getActiveServiceIds(serviceDate).has(entry.trip.service_id))
+            .pop() || null;
+    }
+
+    // After a restart, skip observations that were already written for the running days
+    async _loadWritten() {
+        for (const serviceDate of this.calendar.getRunningServiceDates()) {
+            (await this._readDay(serviceDate)).forEach(record => {
+                this._markWritten(serviceDate, record.type === 'cancelled'
+                    ? `${record.tripId}:cancelled`
+                    : `${record.tripId}:${record.stopSequence}`);
+            });
+        }
+    }
+
+    _markWritten(serviceDate, key) {
+        if (!this.written.has(serviceDate)) this.written.set(serviceDate, new Set());
+        const keys = this.written.get(serviceDate);
+        if (keys.has(key)) return false;
+        keys.add(key);
+        return true;
+    }
+
+    // Only yesterday's and today's service days can still receive updates
+    _prune() {
+        const running = new Set(this.calendar.getRunningServiceDates());
+        this.written.forEach((keys, serviceDate) => {
+            if (!running.has(serviceDate)) this.written.delete(serviceDate);
+        });
+        this.pending.forEach((observation, key) => {
+            if (!running.has(observation.serviceDate)) this.pending.delete(key);
+        });
+    }
+
+    _append(records) {
+        const byDate = new Map();
+        records.forEach(record => {
+            if (!byDate.has(record.serviceDate)) byDate.set(record.serviceDate, []);
+            byDate.get(record.serviceDate).push(JSON.stringify(record));
+        });
+
+        // Appends are chained so lines from consecutive refreshes never interleave
+        this._writing = this._writing.then(async () => {
+            try {
+                await fs.mkdir(this.dir, { recursive: true });
+                for (const [serviceDate, lines] of byDate) {
+                    await fs.appendFile(join(this.dir, `${serviceDate}.jsonl`), `${lines.join('\n')}\n`);
+                }
+                this.lastError = null;
+            } catch (error) {
+                this.lastError = error;
+                this.log.error({ err: error.message }, 'Failed to write delay history');
+            }
+        });
+    }
+
+    // On-time performance between two service dates (inclusive, YYYYMMDD), optionally
+    // for some routes (route_id, short name such as "Yellow-S", or its color prefix "Yellow")
+    // and one stop or station. Scheduled trips are only compared on days with
+    // recordings, within the hours the recorder was actually running.
+    async getOnTime({ route, stop, from, to }) {
+        const routeIds = route ? this._resolveRoutes(route) : null;
+        if (routeIds && routeIds.size === 0) {
+            throw new Error(`Route ${route} not found`);
+        }
+
+        let stopIds = null;
+        if (stop) {
+            const resolved = this.staticData.resolveStop(stop);
+            if (!resolved) {
+                throw new Error(`Stop ${stop} not found`);
+            }
+            stopIds = new Set(resolved.location_type === '1'
+                ? this.staticData.getStationPlatforms(resolved.stop_id)
+                : [resolved.stop_id]);
+        }
+
+        const threshold = config.stats.onTimeThreshold;
+        const timezone = this.calendar.getTimezone();
+        const delays = [];
+        const byHour = new Map();
+        const trips = { scheduled: 0, observed: 0, cancelled: 0, missing: 0 };
+        const cancelledTrips = [];
+        const missingTrips = [];
+        let days = 0;
+
+        for (let serviceDate = from; serviceDate <= to; serviceDate = shiftServiceDate(serviceDate, 1)) {
+            const records = await this._readDay(serviceDate);
+            if (records.length === 0) continue;
+            days++;
+
+            const observed = new Set();
+            const cancelled = new Set();
+            let firstSeen = Infinity;
+            let lastSeen = -Infinity;
+
+            records.forEach(record => {
+                const seenAt = record.type === 'cancelled' ? record.observedAt : record.actual;
+                firstSeen = Math.min(firstSeen, seenAt);
+                lastSeen = Math.max(lastSeen, seenAt);
+
+                if (routeIds && !routeIds.has(record.routeId)) return;
+                if (record.type === 'cancelled') {
+                    if (!stopIds || this._tripServes(record.tripId, stopIds)) cancelled.add(record.tripId);
+                    return;
+                }
+                if (stopIds && !stopIds.has(record.stopId)) return;
+
+                observed.add(record.tripId);
+                delays.push(record.delay);
+                const hour = getZonedParts(new Date(record.scheduled * 1000), timezone).hour;
+                if (!byHour.has(hour)) byHour.set(hour, []);
+                byHour.get(hour).push(record.delay);
+            });
+
+            this._scheduledTrips(serviceDate, routeIds, stopIds).forEach(({ tripId, time }) => {
+                if (time < firstSeen || time > lastSeen) return;
+                trips.scheduled++;
+                if (cancelled.has(tripId)) {
+                    trips.cancelled++;
+                    cancelledTrips.push({ serviceDate, tripId });
+                } else if (observed.has(tripId)) {
+                    trips.observed++;
+                } else {
+                    trips.missing++;
+                    missingTrips.push({ serviceDate, tripId });
+                }
+            });
+        }
+
+        return {
+            agency: this.agency.id,
+            from,
+            to,
+            daysWithData: days,
+            route: route || null,
+            routeIds: routeIds ? Array.from(routeIds) : null,
+            stop: stop || null,
+            onTimeThresholdSeconds: threshold,
+            ...summarize(delays, threshold),
+            byHour: Array.from(byHour.keys()).sort((a, b) => a - b)
+                .map(hour => ({ hour, ...summarize(byHour.get(hour), threshold) })),
+            trips,
+            cancelledTrips,
+            missingTrips
+        };
+    }
+
+    async _readDay(serviceDate) {
+        const file = join(this.dir, `${serviceDate}.jsonl`);
+        const records = [];
+        try {
+            await fs.access(file);
+        } catch {
+            return records;
+        }
+
+        const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch {
+                // A partial line from an interrupted write; skip it
+            }
+        }
+        return records;
+    }
+
+    _resolveRoutes(route) {
+        const wanted = String(route).split(',').map(r => r.trim().toLowerCase()).filter(Boolean);
+        const routeIds = new Set();
+        this.staticData.getAllRoutes().forEach(r => {
+            const shortName = (r.route_short_name || '').toLowerCase();
+            if (wanted.some(w => r.route_id.toLowerCase() === w || shortName === w || shortName.startsWith(`${w}-`))) {
+                routeIds.add(r.route_id);
+            }
+        });
+        return routeIds;
+    }
+
+    _tripServes(tripId, stopIds) {
+        return this.staticData.getStopTimesForTrip(tripId).some(st => stopIds.has(st.stop_id));
+    }
+
+    // Trips the schedule ran that day with their time at the stop (or first departure)
+    _scheduledTrips(serviceDate, routeIds, stopIds) {
+        const active = this.calendar.getActiveServiceIds(serviceDate);
+        const dayStart = Math.floor(this.calendar.getServiceDayStart(serviceDate) / 1000);
+        const scheduled = [];
+
+        const add = (trip, stopTime) => {
+            if (!trip || !active.has(trip.service_id)) return;
+            if (routeIds && !routeIds.has(trip.route_id)) return;
+            const offset = parseGtfsTime(stopTime?.arrival_time || stopTime?.departure_time);
+            if (offset === null) return;
+            scheduled.push({ tripId: trip.trip_id, time: dayStart + offset });
+        };
+
+        if (stopIds) {
+            const seen = new Set();
+            stopIds.forEach(stopId => this.staticData.getStopTimesForStop(stopId).forEach(stopTime => {
+                if (seen.has(stopTime.trip_id)) return;
+                seen.add(stopTime.trip_id);
+                add(this.staticData.getTrip(stopTime.trip_id), stopTime);
+            }));
+        } else {
+            this.staticData.getAllTrips().forEach(trip => add(trip, this.staticData.getStopTimesForTrip(trip.trip_id)[0]));
+        }
+        return scheduled;
+    }
+
+    getStatus() {
+        return {
+            enabled: config.stats.enabled,
+            dir: this.dir,
+            pending: this.pending.size,
+            error: this.lastError ? this.lastError.message : null
+        };
+    }
+}
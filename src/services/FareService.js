@@ -0,0 +1,66 @@
+export class FareService {
+    constructor({ staticData }) {
+        this.staticData = staticData;
+    }
+
+    getFare(fromId, toId) {
+        const from = this._resolveZone(fromId);
+        const to = this._resolveZone(toId);
+
+        const rule = this._findRule(from.zone, to.zone);
+        const fare = rule && this.staticData.getFareAttribute(rule.fare_id);
+        if (!fare) {
+            throw new Error(`Fare not found between ${fromId} and ${toId}`);
+        }
+
+        const riderCategories = this.staticData.getFareRiderCategories(fare.fare_id).map(price => ({
+            id: price.rider_category_id,
+            name: this.staticData.getRiderCategory(price.rider_category_id)?.rider_category_description || null,
+            price: parseFloat(price.price)
+        }));
+
+        return {
+            from,
+            to,
+            fareId: fare.fare_id,
+            currency: fare.currency_type,
+            price: parseFloat(fare.price),
+            riderCategories
+        };
+    }
+
+    // Platforms may omit zone_id; fall back to the parent station's zone
+    _resolveZone(stopId) {
+        const stop = this.staticData.resolveStop(stopId);
+        if (!stop) {
+            throw new Error(`Stop ${stopId} not found`);
+        }
+
+        const parent = stop.parent_station ? this.staticData.getStop(stop.parent_station) : null;
+        const station = parent || stop;
+
+        return {
+            id: station.stop_id,
+            name: station.stop_name,
+            zone: stop.zone_id || parent?.zone_id || null
+        };
+    }
+
+    // Exact origin/destination pair first, then rules that leave either side open.
+    // Rules scoped to a route or contains_id zone don't apply to a plain station pair.
+    _findRule(originZone, destinationZone) {
+        const candidates = [
+            [originZone, destinationZone],
+            [originZone, null],
+            [null, destinationZone],
+            [null, null]
+        ];
+
+        for (const [origin, destination] of candidates) {
+            const rule = this.staticData.getFareRules(origin, destination)
+                .find(r => !r.route_id && !r.contains_id);
+            if (rule) return rule;
+        }
+        return null;
+    }
+}
@@ -1,22 +1,62 @@
+import { EventEmitter } from 'events';
 import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
-import { config } from '../config/config.js';
 import logger from '../lib/logger.js';
+import { metrics } from '../lib/metrics.js';
 
-const log = logger.child({ service: 'gtfs-monitor' });
+const FEEDS = ['trips', 'alerts', 'vehicles'];
 
-class GtfsMonitor {
-    constructor() {
+// Per-feed state properties and stats counters
+const FEED_FIELDS = {
+    trips: { feed: 'tripsFeed', updated: 'lastTripsUpdate', error: 'tripsError', updates: 'tripUpdates', errors: 'tripErrors' },
+    alerts: { feed: 'alertsFeed', updated: 'lastAlertsUpdate', error: 'alertsError', updates: 'alertUpdates', errors: 'alertErrors' },
+    vehicles: {
+        feed: 'vehiclesFeed',
+        updated: 'lastVehiclesUpdate',
+        error: 'vehiclesError',
+        updates: 'vehicleUpdates',
+        errors: 'vehicleErrors'
+    }
+};
+
+function decodeFeed(buffer) {
+    return GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(new Uint8Array(buffer));
+}
+
+const feedFetches = metrics.counter('gtfs_feed_fetch_total', 'Real-time feed fetches by result', ['agency', 'feed', 'result']);
+const feedFetchDuration = metrics.histogram('gtfs_feed_fetch_duration_seconds',
+    'Time to fetch and decode a real-time feed, including retries', ['agency', 'feed']);
+const feedAge = metrics.gauge('gtfs_feed_age_seconds', 'Seconds since the feed was last fetched successfully', ['agency', 'feed']);
+const feedHeaderAge = metrics.gauge('gtfs_feed_header_age_seconds',
+    'Seconds since the producer timestamp in the feed header', ['agency', 'feed']);
+const feedEntities = metrics.gauge('gtfs_feed_entities', 'Entities in the last fetched feed', ['agency', 'feed']);
+const feedUp = metrics.gauge('gtfs_feed_up', '1 when the feed has data and its last fetch succeeded', ['agency', 'feed']);
+
+// Emits 'update' with { type: 'trips' | 'alerts' | 'vehicles', timestamp } whenever a feed refreshes.
+// Update times come from the agency clock, which feed replay shifts to the recording's time.
+export class GtfsMonitor extends EventEmitter {
+    constructor(agency, { clock, recorder = null }) {
+        super();
+        this.agency = agency;
+        this.clock = clock;
+        this.recorder = recorder;
+        this.log = logger.child({ service: 'gtfs-monitor', agency: agency.id });
+        this._unregisterMetrics = metrics.collect(() => this._collectMetrics());
         this.tripsFeed = null;
         this.alertsFeed = null;
+        this.vehiclesFeed = null;
         this.lastTripsUpdate = null;
         this.lastAlertsUpdate = null;
+        this.lastVehiclesUpdate = null;
         this.tripsError = null;
         this.alertsError = null;
+        this.vehiclesError = null;
 
         this._tripsTimeout = null;
         this._alertsTimeout = null;
+        this._vehiclesTimeout = null;
         this._tripsInFlight = false;
         this._alertsInFlight = false;
+        this._vehiclesInFlight = false;
 
         // Status tracking
         this.isPolling = false;
@@ -24,7 +64,9 @@ class GtfsMonitor {
             tripUpdates: 0,
             tripErrors: 0,
             alertUpdates: 0,
-            alertErrors: 0
+            alertErrors: 0,
+            vehicleUpdates: 0,
+            vehicleErrors: 0
         };
     }
 
@@ -35,15 +77,27 @@ class GtfsMonitor {
         // Initial fetch with error handling
         this._pollTrips();
         this._pollAlerts();
+        // Vehicle positions are optional; BART doesn't publish them today
+        if (this.agency.realtime.vehicles) {
+            this._pollVehicles();
+        }
 
-        log.info('GTFS Real-time monitor started');
+        this.log.info('GTFS Real-time monitor started');
     }
 
     stop() {
         this.isPolling = false;
         clearTimeout(this._tripsTimeout);
         clearTimeout(this._alertsTimeout);
-        log.info('GTFS Real-time monitor stopped');
+        clearTimeout(this._vehiclesTimeout);
+        this.log.info('GTFS Real-time monitor stopped');
+    }
+
+    // Detaches the metrics collector and drops this agency's feed series
+    close() {
+        this._unregisterMetrics();
+        const labels = { agency: this.agency.id };
+        [feedFetches, feedFetchDuration, feedAge, feedHeaderAge, feedEntities, feedUp].forEach(metric => metric.clear(labels));
     }
 
     async _pollTrips() {
@@ -52,11 +106,11 @@ class GtfsMonitor {
         try {
             await this.updateTrips();
         } catch (err) {
-            log.error({ err }, 'Unhandled error in trips poll');
+            this.log.error({ err }, 'Unhandled error in trips poll');
         } finally {
             this._tripsInFlight = false;
             if (this.isPolling) {
-                this._tripsTimeout = setTimeout(() => this._pollTrips(), config.refreshInterval);
+                this._tripsTimeout = setTimeout(() => this._pollTrips(), this.agency.refreshInterval);
             }
         }
     }
@@ -67,16 +121,46 @@ class GtfsMonitor {
         try {
             await this.updateAlerts();
         } catch (err) {
-            log.error({ err }, 'Unhandled error in alerts poll');
+            this.log.error({ err }, 'Unhandled error in alerts poll');
         } finally {
             this._alertsInFlight = false;
             if (this.isPolling) {
-                this._alertsTimeout = setTimeout(() => this._pollAlerts(), config.refreshInterval * 2);
+                this._alertsTimeout = setTimeout(() => this._pollAlerts(), this.agency.refreshInterval * 2);
+            }
+        }
+    }
+
+    async _pollVehicles() {
+        if (!this.isPolling || this._vehiclesInFlight) return;
+        this._vehiclesInFlight = true;
+        try {
+            await this.updateVehicles();
+        } catch (err) {
+            this.log.error({ err }, 'Unhandled error in vehicles poll');
+        } finally {
+            this._vehiclesInFlight = false;
+            if (this.isPolling) {
+                this._vehiclesTimeout = setTimeout(() => this._pollVehicles(), this.agency.refreshInterval);
             }
         }
     }
 
     async fetchFeed(url, type) {
+        const labels = { agency: this.agency.id, feed: type };
+        const endTimer = feedFetchDuration.startTimer(labels);
+        try {
+            const feed = await this._fetchWithRetries(url, type);
+            feedFetches.inc({ ...labels, result: 'success' });
+            return feed;
+        } catch (error) {
+            feedFetches.inc({ ...labels, result: 'error' });
+            throw error;
+        } finally {
+            endTimer();
+        }
+    }
+
+    async _fetchWithRetries(url, type) {
         const retries = 3;
         let lastError = null;
 
@@ -85,12 +169,14 @@ class GtfsMonitor {
                 const controller = new AbortController();
                 const timeoutId = setTimeout(() => controller.abort(), 10000); // 10s timeout
 
-                const response = await fetch(url, {
-                    headers: {
-                        'User-Agent': 'bart-proxy/1.0.0 (https://github.com/filbot/bart-proxy)',
-                        'Accept': 'application/x-protobuf, application/octet-stream',
-                        'Connection': 'keep-alive'
-                    },
+                const { url: requestUrl, headers } = this._withApiKey(url, {
+                    'User-Agent': 'bart-proxy/1.0.0 (https://github.com/filbot/bart-proxy)',
+                    'Accept': 'application/x-protobuf, application/octet-stream',
+                    'Connection': 'keep-alive'
+                });
+
+                const response = await fetch(requestUrl, {
+                    headers,
                     signal: controller.signal
                 });
 
@@ -101,17 +187,18 @@ class GtfsMonitor {
                 }
 
                 const buffer = await response.arrayBuffer();
-                const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(
-                    new Uint8Array(buffer)
-                );
+                const feed = decodeFeed(buffer);
 
+                if (this.recorder) {
+                    await this.recorder.record(type, buffer);
+                }
                 return feed;
 
             } catch (error) {
                 lastError = error;
                 const isLastAttempt = attempt === retries;
 
-                log.warn({ attempt, retries, type, err: error.message }, 'Feed fetch attempt failed');
+                this.log.warn({ attempt, retries, type, err: error.message }, 'Feed fetch attempt failed');
 
                 if (!isLastAttempt) {
                     const delay = 1000 * Math.pow(2, attempt - 1);
@@ -123,34 +210,87 @@ class GtfsMonitor {
         throw lastError;
     }
 
+    // Agencies that require a key take it as a header or a query parameter
+    _withApiKey(url, headers) {
+        const apiKey = this.agency.apiKey;
+        if (!apiKey?.value) return { url, headers };
+
+        if (apiKey.query) {
+            const keyed = new URL(url);
+            keyed.searchParams.set(apiKey.query, apiKey.value);
+            return { url: keyed.toString(), headers };
+        }
+        return { url, headers: { ...headers, [apiKey.header || 'x-api-key']: apiKey.value } };
+    }
+
     async updateTrips() {
+        await this._update('trips');
+    }
+
+    async updateAlerts() {
+        await this._update('alerts');
+    }
+
+    async updateVehicles() {
+        await this._update('vehicles');
+    }
+
+    async _update(type) {
         try {
-            const feed = await this.fetchFeed(config.feeds.trips, 'trips');
-            this.tripsFeed = feed;
-            this.lastTripsUpdate = new Date();
-            this.tripsError = null;
-            this.stats.tripUpdates++;
+            this._install(type, await this.fetchFeed(this.agency.realtime[type], type));
         } catch (error) {
-            this.tripsError = error;
-            this.stats.tripErrors++;
-            log.error({ err: error.message }, 'Failed to update trips feed');
+            this._fail(type, error);
         }
     }
 
-    async updateAlerts() {
+    // Installs a recorded protobuf as though it had just been fetched
+    replayFeed(type, buffer) {
         try {
-            const feed = await this.fetchFeed(config.feeds.alerts, 'alerts');
-            this.alertsFeed = feed;
-            this.lastAlertsUpdate = new Date();
-            this.alertsError = null;
-            this.stats.alertUpdates++;
+            this._install(type, decodeFeed(buffer));
         } catch (error) {
-            this.alertsError = error;
-            this.stats.alertErrors++;
-            log.error({ err: error.message }, 'Failed to update alerts feed');
+            this._fail(type, error);
         }
     }
 
+    _install(type, feed) {
+        const fields = FEED_FIELDS[type];
+        this[fields.feed] = feed;
+        this[fields.updated] = this.clock.date();
+        this[fields.error] = null;
+        this.stats[fields.updates]++;
+        this.emit('update', { type, timestamp: this[fields.updated] });
+    }
+
+    _fail(type, error) {
+        const fields = FEED_FIELDS[type];
+        this[fields.error] = error;
+        this.stats[fields.errors]++;
+        this.log.error({ err: error.message }, `Failed to update ${type} feed`);
+    }
+
+    _collectMetrics() {
+        const now = this.clock.now();
+        const feeds = { trips: this.tripsFeed, alerts: this.alertsFeed, vehicles: this.vehiclesFeed };
+        const updated = { trips: this.lastTripsUpdate, alerts: this.lastAlertsUpdate, vehicles: this.lastVehiclesUpdate };
+        const errors = { trips: this.tripsError, alerts: this.alertsError, vehicles: this.vehiclesError };
+
+        FEEDS.forEach(type => {
+            if (type === 'vehicles' && !this.agency.realtime.vehicles) return;
+            const labels = { agency: this.agency.id, feed: type };
+            const feed = feeds[type];
+
+            feedUp.set(labels, feed && !errors[type] ? 1 : 0);
+            if (!feed) return;
+
+            feedAge.set(labels, (now - updated[type].getTime()) / 1000);
+            feedEntities.set(labels, feed.entity.length);
+            const headerTimestamp = Number(feed.header?.timestamp || 0);
+            if (headerTimestamp > 0) {
+                feedHeaderAge.set(labels, now / 1000 - headerTimestamp);
+            }
+        });
+    }
+
     getTrips() {
         if (!this.tripsFeed) return null;
         return this.tripsFeed;
@@ -160,6 +300,10 @@ class GtfsMonitor {
         return this.alertsFeed;
     }
 
+    getVehicles() {
+        return this.vehiclesFeed;
+    }
+
     getStatus() {
         return {
             trips: {
@@ -172,9 +316,13 @@ class GtfsMonitor {
                 hasData: !!this.alertsFeed,
                 error: this.alertsError ? this.alertsError.message : null
             },
+            vehicles: {
+                enabled: !!this.agency.realtime.vehicles,
+                lastUpdate: this.lastVehiclesUpdate,
+                hasData: !!this.vehiclesFeed,
+                error: this.vehiclesError ? this.vehiclesError.message : null
+            },
             stats: this.stats
         };
     }
 }
-
-export const gtfsMonitor = new GtfsMonitor();
@@ -0,0 +1,90 @@
+import { createHash } from 'crypto';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+// Re-publishes the cached GTFS-realtime feeds, optionally filtered by route, stop or trip
+export class GtfsRtService {
+    constructor({ staticData, monitor }) {
+        this.staticData = staticData;
+        this.monitor = monitor;
+        this._encoded = new WeakMap();
+    }
+
+    // Returns null when the feed hasn't been fetched yet
+    getFeed(type, filters = {}) {
+        const feed = type === 'alerts' ? this.monitor.getAlerts() : this.monitor.getTrips();
+        if (!feed) return null;
+
+        const status = this.monitor.getStatus()[type === 'alerts' ? 'alerts' : 'trips'];
+        const filtered = this._hasFilters(filters) ? this._filter(feed, type, filters) : feed;
+
+        return {
+            feed: filtered,
+            lastModified: status.lastUpdate,
+            etag: this._etag(type, status.lastUpdate, filters)
+        };
+    }
+
+    encode(feed) {
+        // Unfiltered feeds are shared between requests; encode those once
+        let buffer = this._encoded.get(feed);
+        if (!buffer) {
+            buffer = Buffer.from(FeedMessage.encode(feed).finish());
+            this._encoded.set(feed, buffer);
+        }
+        return buffer;
+    }
+
+    toJSON(feed) {
+        return FeedMessage.toObject(feed, { enums: String, longs: Number });
+    }
+
+    _hasFilters(filters) {
+        return !!(filters.route || filters.stop || filters.trip);
+    }
+
+    _filter(feed, type, { route, stop, trip }) {
+        const stopIds = stop ? new Set([stop, ...this.staticData.getStationPlatforms(stop)]) : null;
+
+        const entity = feed.entity.filter(e => type === 'alerts'
+            ? this._matchesAlert(e.alert, route, stopIds, trip)
+            : this._matchesTripUpdate(e.tripUpdate, route, stopIds, trip));
+
+        return FeedMessage.create({ header: feed.header, entity });
+    }
+
+    _matchesTripUpdate(tripUpdate, route, stopIds, trip) {
+        if (!tripUpdate) return false;
+
+        const tripId = tripUpdate.trip?.tripId;
+        if (trip && tripId !== trip) return false;
+
+        if (route) {
+            // BART omits route_id in the feed; fall back to the static trip
+            const routeId = tripUpdate.trip?.routeId || this.staticData.getTrip(tripId)?.route_id;
+            if (routeId !== route) return false;
+        }
+
+        if (stopIds && !tripUpdate.stopTimeUpdate?.some(stu => stopIds.has(stu.stopId))) {
+            return false;
+        }
+
+        return true;
+    }
+
+    _matchesAlert(alert, route, stopIds, trip) {
+        if (!alert) return false;
+
+        return (alert.informedEntity || []).some(ie =>
+            (!route || ie.routeId === route || ie.trip?.routeId === route) &&
+            (!stopIds || stopIds.has(ie.stopId)) &&
+            (!trip || ie.trip?.tripId === trip)
+        );
+    }
+
+    _etag(type, lastUpdate, filters) {
+        const key = JSON.stringify([type, lastUpdate?.getTime() || 0, filters.route, filters.stop, filters.trip, filters.format]);
+        return `"${createHash('sha1').update(key).digest('hex').slice(0, 16)}"`;
+    }
+}
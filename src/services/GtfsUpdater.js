@@ -1,61 +1,271 @@
 import path from 'path';
+import { createHash } from 'crypto';
+import { existsSync, lstatSync, readdirSync, readFileSync, readlinkSync } from 'fs';
+import { mkdir, rename, rm, symlink, writeFile } from 'fs/promises';
 import AdmZip from 'adm-zip';
 import { config } from '../config/config.js';
-import { staticDataService } from './StaticDataService.js';
 import logger from '../lib/logger.js';
+import { parseCsvFile, parseCsvFileSync, parseCsvSync } from '../lib/csv.js';
+import { parseServiceDate, toServiceDate } from '../lib/time.js';
+import { metrics } from '../lib/metrics.js';
 
-const log = logger.child({ service: 'gtfs-updater' });
+const REQUIRED_FILES = ['agency.txt', 'stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+const VERSION_FILE = 'version.json';
+// Validators and hash of the last download that was installed or found unchanged
+const SOURCE_FILE = 'download.json';
+// The files sitting directly in the data directory (e.g. the bundled feed)
+const BASE_VERSION = 'base';
 
-class GtfsUpdater {
-    constructor() {
-        this.bartUrl = 'https://www.bart.gov/dev/schedules/google_transit.zip';
+const staticUpdates = metrics.counter('gtfs_static_updates_total',
+    'GTFS static update checks and rollbacks by outcome', ['agency', 'outcome']);
+const staticInfo = metrics.gauge('gtfs_static_info', 'Active static GTFS version (value is always 1)',
+    ['agency', 'version', 'feed_version']);
+const staticDaysRemaining = metrics.gauge('gtfs_static_feed_days_remaining',
+    'Days until feed_end_date of the loaded static feed (negative once expired)', ['agency']);
+
+function describeMissing(label, ids) {
+    const examples = Array.from(ids).slice(0, 5).join(', ');
+    return `${ids.size} ${label} (e.g. ${examples})`;
+}
+
+export class GtfsUpdater {
+    constructor({ agency, staticData, calendar, clock }) {
+        this.agency = agency;
+        this.staticData = staticData;
+        this.calendar = calendar;
+        this.clock = clock;
+        this.log = logger.child({ service: 'gtfs-updater', agency: agency.id });
         this.isUpdating = false;
         this.lastUpdate = null;
+        this.history = [];
         this._interval = null;
+        this._unregisterMetrics = metrics.collect(() => this._collectMetrics());
     }
 
     start() {
+        this.checkFeedExpiry();
+        if (!this.agency.staticData.url) {
+            this.log.info('No static GTFS url configured; automatic updates disabled');
+            return;
+        }
         // Check daily
-        this._interval = setInterval(() => this.checkForUpdates(), 24 * 60 * 60 * 1000);
-        log.info('GTFS Updater service started (daily checks)');
+        this._interval = setInterval(async () => {
+            await this.checkForUpdates();
+            this.checkFeedExpiry();
+        }, 24 * 60 * 60 * 1000);
+        this.log.info('GTFS Updater service started (daily checks)');
     }
 
     stop() {
         clearInterval(this._interval);
-        log.info('GTFS Updater service stopped');
+        this.log.info('GTFS Updater service stopped');
     }
 
+    // Detaches the metrics collector and drops this agency's series
+    close() {
+        this._unregisterMetrics();
+        const labels = { agency: this.agency.id };
+        [staticUpdates, staticInfo, staticDaysRemaining].forEach(metric => metric.clear(labels));
+    }
+
+    // Resolves with the history entry for this attempt, or null if one is already running
     async checkForUpdates() {
-        if (this.isUpdating) return;
+        if (this.isUpdating) return null;
+        if (!this.agency.staticData.url) {
+            throw new Error(`No static GTFS url configured for agency ${this.agency.id}`);
+        }
         this.isUpdating = true;
-        log.info('Checking for GTFS updates...');
+        this.log.info('Checking for GTFS updates...');
 
+        const attempt = { feedVersion: null };
         try {
-            const downloadUrl = await this._resolveDownloadUrl(this.bartUrl);
+            const downloadUrl = await this._resolveDownloadUrl(this.agency.staticData.url);
             if (!downloadUrl) {
                 throw new Error('Could not resolve GTFS download URL');
             }
-            log.info({ url: downloadUrl }, 'Resolved GTFS URL');
+            this.log.info({ url: downloadUrl }, 'Resolved GTFS URL');
+
+            const previous = this._readSource();
+            const download = await this._downloadFile(downloadUrl, previous?.url === downloadUrl ? previous : {});
+            if (!download) {
+                return this._unchanged('not-modified', null);
+            }
+
+            const source = {
+                url: downloadUrl,
+                etag: download.etag,
+                lastModified: download.lastModified,
+                sha256: createHash('sha256').update(download.buffer).digest('hex'),
+                checkedAt: new Date().toISOString()
+            };
+            if (source.sha256 === previous?.sha256) {
+                await this._writeSource({ ...source, feedVersion: previous.feedVersion ?? null });
+                return this._unchanged('same-content', previous.feedVersion ?? null);
+            }
+
+            // Agencies often rebuild the zip (new timestamps, new hash) without changing the feed
+            const zip = new AdmZip(download.buffer);
+            attempt.feedVersion = this._readZipFeedVersion(zip);
+            source.feedVersion = attempt.feedVersion;
+            if (attempt.feedVersion && attempt.feedVersion === this.staticData.getFeedInfo()?.feed_version) {
+                await this._writeSource(source);
+                return this._unchanged('same-feed-version', attempt.feedVersion);
+            }
 
-            const zipBuffer = await this._downloadFile(downloadUrl);
-            await this._processUpdate(zipBuffer);
+            const version = await this._processUpdate(zip, attempt);
+            await this._writeSource(source);
 
             this.lastUpdate = new Date();
-            log.info('GTFS update completed successfully');
+            this.log.info({ version: version.id, feedVersion: version.feedVersion }, 'GTFS update completed successfully');
+            return this._record({ version: version.id, feedVersion: version.feedVersion, outcome: 'installed' });
         } catch (error) {
-            log.error({ err: error.message }, 'GTFS update failed');
+            this.log.error({ err: error.message }, 'GTFS update failed');
+            return this._record({ version: null, feedVersion: attempt.feedVersion, outcome: 'failed', error: error.message });
         } finally {
             this.isUpdating = false;
         }
     }
 
+    // Warns once per check when feed_info.txt says the loaded feed has ended or is about to
+    checkFeedExpiry() {
+        const validity = this.calendar.getFeedValidity();
+        if (validity.status === 'expired') {
+            this.log.warn({ feedEndDate: validity.endDate }, 'Loaded GTFS feed has expired; schedules may be wrong');
+        } else if (validity.status === 'expiring') {
+            this.log.warn({ feedEndDate: validity.endDate, daysRemaining: validity.daysRemaining }, 'Loaded GTFS feed expires soon');
+        }
+        return validity;
+    }
+
+    _unchanged(reason, feedVersion) {
+        this.log.info({ reason }, 'GTFS static data unchanged; skipping update');
+        return this._record({ version: null, feedVersion, outcome: 'unchanged', reason });
+    }
+
+    _readSource() {
+        try {
+            return JSON.parse(readFileSync(path.join(path.resolve(this.agency.staticData.dir), SOURCE_FILE), 'utf-8'));
+        } catch {
+            return null;
+        }
+    }
+
+    async _writeSource(source) {
+        await writeFile(path.join(path.resolve(this.agency.staticData.dir), SOURCE_FILE), JSON.stringify(source, null, 2));
+    }
+
+    _readZipFeedVersion(zip) {
+        const entry = zip.getEntry('feed_info.txt');
+        if (!entry) return null;
+        try {
+            const [feedInfo] = parseCsvSync(zip.readAsText(entry));
+            return feedInfo?.feed_version || null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Re-activates a retained version; without an ID, the one installed before the active one
+    async rollback(versionId) {
+        if (this.isUpdating) {
+            throw new Error('GTFS update already in progress');
+        }
+
+        const versions = this.getVersions();
+        const activeIndex = versions.findIndex(version => version.active);
+        const target = versionId
+            ? versions.find(version => version.id === versionId)
+            : versions[activeIndex + 1];
+        if (!target) {
+            throw new Error(versionId ? `Version ${versionId} not found` : 'No previous version to roll back to');
+        }
+        if (target.active) {
+            throw new Error(`Version ${target.id} is already active`);
+        }
+
+        this.isUpdating = true;
+        try {
+            await this._activate(target.id);
+            this.log.info({ version: target.id, feedVersion: target.feedVersion }, 'Rolled back GTFS static data');
+            return this._record({ version: target.id, feedVersion: target.feedVersion, outcome: 'rolled-back' });
+        } catch (error) {
+            this._record({ version: target.id, feedVersion: target.feedVersion, outcome: 'rollback-failed', error: error.message });
+            throw error;
+        } finally {
+            this.isUpdating = false;
+        }
+    }
+
+    // Installed versions, newest first, with the base data directory (if it has a feed) last
+    getVersions() {
+        const dataDir = path.resolve(this.agency.staticData.dir);
+        const versionsDir = path.join(dataDir, 'versions');
+        const active = this._getActiveVersionId();
+
+        const versions = existsSync(versionsDir)
+            ? readdirSync(versionsDir).sort().reverse().map(id => {
+                try {
+                    return { ...JSON.parse(readFileSync(path.join(versionsDir, id, VERSION_FILE), 'utf-8')), id };
+                } catch {
+                    return { id, feedVersion: null, installedAt: null };
+                }
+            })
+            : [];
+
+        if (existsSync(path.join(dataDir, 'stops.txt'))) {
+            versions.push({ id: BASE_VERSION, ...this._readFeedInfo(dataDir), installedAt: null });
+        }
+
+        return versions.map(version => ({ ...version, active: version.id === active }));
+    }
+
+    getStatus() {
+        const versions = this.getVersions();
+        return {
+            enabled: !!this.agency.staticData.url,
+            isUpdating: this.isUpdating,
+            lastUpdate: this.lastUpdate,
+            activeVersion: versions.find(version => version.active)?.id || null,
+            versions,
+            history: this.history
+        };
+    }
+
+    _collectMetrics() {
+        const agency = this.agency.id;
+        staticInfo.clear({ agency });
+        staticInfo.set({
+            agency,
+            version: this._getActiveVersionId() || '',
+            feed_version: this.staticData.getFeedInfo()?.feed_version || ''
+        }, 1);
+
+        const { daysRemaining } = this.calendar.getFeedValidity();
+        if (daysRemaining !== null) staticDaysRemaining.set({ agency }, daysRemaining);
+    }
+
+    _record(entry) {
+        staticUpdates.inc({ agency: this.agency.id, outcome: entry.outcome });
+        const record = { ...entry, timestamp: new Date().toISOString() };
+        this.history.unshift(record);
+        this.history.length = Math.min(this.history.length, config.staticUpdates.historySize);
+        return record;
+    }
+
     async _resolveDownloadUrl(initialUrl) {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 60_000);
         try {
             const response = await fetch(initialUrl, { signal: controller.signal });
-            const text = await response.text();
 
+            // Direct link to the zip: don't download it twice
+            const contentType = response.headers.get('content-type');
+            if (contentType && (contentType.includes('zip') || contentType.includes('octet-stream'))) {
+                await response.body?.cancel();
+                return response.url;
+            }
+
+            const text = await response.text();
             const match = text.match(/<meta[^>]*http-equiv=["']refresh["'][^>]*content=["'][^"']*url=['"]?([^'"\s>]+)['"]?/i);
 
             if (match && match[1]) {
@@ -67,31 +277,36 @@ class GtfsUpdater {
                 return redirectUrl;
             }
 
-            const contentType = response.headers.get('content-type');
-            if (contentType && (contentType.includes('zip') || contentType.includes('octet-stream'))) {
-                return response.url;
-            }
-
             return null;
         } finally {
             clearTimeout(timeoutId);
         }
     }
 
-    async _downloadFile(url, retries = 3) {
+    // Resolves with null when the server answers 304 Not Modified to the previous validators
+    async _downloadFile(url, { etag, lastModified } = {}, retries = 3) {
+        const headers = {};
+        if (etag) headers['If-None-Match'] = etag;
+        if (lastModified) headers['If-Modified-Since'] = lastModified;
+
         let lastError;
         for (let attempt = 1; attempt <= retries; attempt++) {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 120_000);
             try {
-                const response = await fetch(url, { signal: controller.signal });
+                const response = await fetch(url, { headers, signal: controller.signal });
                 clearTimeout(timeoutId);
+                if (response.status === 304) return null;
                 if (!response.ok) throw new Error(`Download failed: ${response.statusText}`);
-                return await response.arrayBuffer();
+                return {
+                    buffer: Buffer.from(await response.arrayBuffer()),
+                    etag: response.headers.get('etag'),
+                    lastModified: response.headers.get('last-modified')
+                };
             } catch (err) {
                 clearTimeout(timeoutId);
                 lastError = err;
-                log.warn({ attempt, retries, err: err.message }, 'GTFS download attempt failed');
+                this.log.warn({ attempt, retries, err: err.message }, 'GTFS download attempt failed');
                 if (attempt < retries) {
                     await new Promise(r => setTimeout(r, 5000 * Math.pow(2, attempt - 1)));
                 }
@@ -100,29 +315,177 @@ class GtfsUpdater {
         throw lastError;
     }
 
-    async _processUpdate(arrayBuffer) {
-        const buffer = Buffer.from(arrayBuffer);
-        const zip = new AdmZip(buffer);
-
-        if (!zip.getEntry('trips.txt') || !zip.getEntry('stops.txt')) {
-            throw new Error('Invalid GTFS zip: missing required files');
-        }
-
-        const targetDir = path.resolve(config.paths.staticData);
+    // Extract to a staging directory, validate, then move it under versions/ and
+    // switch "current" to it. The data being served is never written to.
+    async _processUpdate(zip, attempt) {
+        const dataDir = path.resolve(this.agency.staticData.dir);
+        const id = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+        const stagingDir = path.join(dataDir, `.staging-${id}`);
+        const versionDir = path.join(dataDir, 'versions', id);
 
         // Validate no path traversal
         for (const entry of zip.getEntries()) {
-            const resolvedPath = path.resolve(targetDir, entry.entryName);
-            if (!resolvedPath.startsWith(targetDir + path.sep) && resolvedPath !== targetDir) {
+            const resolvedPath = path.resolve(stagingDir, entry.entryName);
+            if (!resolvedPath.startsWith(stagingDir + path.sep) && resolvedPath !== stagingDir) {
                 throw new Error(`Zip entry escapes target directory: ${entry.entryName}`);
             }
         }
 
-        log.info({ targetDir }, 'Extracting GTFS data');
-        zip.extractAllTo(targetDir, true);
+        try {
+            this.log.info({ stagingDir }, 'Extracting GTFS data');
+            await mkdir(stagingDir, { recursive: true });
+            zip.extractAllTo(stagingDir, true);
+
+            const feedInfo = this._readFeedInfo(stagingDir);
+            attempt.feedVersion = feedInfo.feedVersion;
+            await this._validate(stagingDir, feedInfo);
 
-        await staticDataService.reload();
+            const version = { id, ...feedInfo, installedAt: new Date().toISOString() };
+            await writeFile(path.join(stagingDir, VERSION_FILE), JSON.stringify(version, null, 2));
+
+            await mkdir(path.dirname(versionDir), { recursive: true });
+            await rename(stagingDir, versionDir);
+
+            try {
+                await this._activate(id);
+            } catch (error) {
+                await rm(versionDir, { recursive: true, force: true });
+                throw error;
+            }
+
+            await this._prune();
+            return version;
+        } finally {
+            await rm(stagingDir, { recursive: true, force: true });
+        }
+    }
+
+    async _validate(dir, feedInfo) {
+        const missing = REQUIRED_FILES.filter(file => !existsSync(path.join(dir, file)));
+        if (!existsSync(path.join(dir, 'calendar.txt')) && !existsSync(path.join(dir, 'calendar_dates.txt'))) {
+            missing.push('calendar.txt or calendar_dates.txt');
+        }
+        if (missing.length > 0) {
+            throw new Error(`Invalid GTFS feed: missing ${missing.join(', ')}`);
+        }
+
+        const [stops, routes, trips, stopTimes] = await Promise.all(
+            ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'].map(file => parseCsvFile(path.join(dir, file)))
+        );
+        const problems = [];
+
+        [['stops.txt', stops], ['routes.txt', routes], ['trips.txt', trips], ['stop_times.txt', stopTimes]]
+            .filter(([, rows]) => rows.length === 0)
+            .forEach(([file]) => problems.push(`${file} is empty`));
+
+        const stopIds = new Set(stops.map(stop => stop.stop_id));
+        const routeIds = new Set(routes.map(route => route.route_id));
+        const tripIds = new Set(trips.map(trip => trip.trip_id));
+
+        const unknownRoutes = new Set(trips.filter(trip => !routeIds.has(trip.route_id)).map(trip => trip.route_id));
+        const unknownTrips = new Set();
+        const unknownStops = new Set();
+        const tripsWithStopTimes = new Set();
+        stopTimes.forEach(stopTime => {
+            if (!tripIds.has(stopTime.trip_id)) unknownTrips.add(stopTime.trip_id);
+            if (!stopIds.has(stopTime.stop_id)) unknownStops.add(stopTime.stop_id);
+            tripsWithStopTimes.add(stopTime.trip_id);
+        });
+        const emptyTrips = new Set(Array.from(tripIds).filter(tripId => !tripsWithStopTimes.has(tripId)));
+
+        if (unknownRoutes.size > 0) problems.push(describeMissing('trips reference unknown routes', unknownRoutes));
+        if (unknownTrips.size > 0) problems.push(describeMissing('stop_times reference unknown trips', unknownTrips));
+        if (unknownStops.size > 0) problems.push(describeMissing('stop_times reference unknown stops', unknownStops));
+        problems.push(...this._validateFeedDates(feedInfo));
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid GTFS feed: ${problems.join('; ')}`);
+        }
+
+        // BART publishes a handful of these; they're never served, so not fatal
+        if (emptyTrips.size > 0) {
+            this.log.warn(describeMissing('trips have no stop_times', emptyTrips));
+        }
+    }
+
+    _validateFeedDates({ feedStartDate: start, feedEndDate: end }) {
+        const problems = [];
+
+        if (start && !parseServiceDate(start)) problems.push(`invalid feed_start_date ${start}`);
+        if (end && !parseServiceDate(end)) problems.push(`invalid feed_end_date ${end}`);
+        if (problems.length > 0) return problems;
+
+        if (start && end && start > end) {
+            problems.push(`feed_start_date ${start} is after feed_end_date ${end}`);
+        }
+        const today = toServiceDate(this.clock.date(), this.staticData.getTimezone());
+        if (end && end < today) {
+            problems.push(`feed_end_date ${end} is in the past`);
+        }
+        return problems;
     }
-}
 
-export const gtfsUpdater = new GtfsUpdater();
+    // Points "current" at the version and reloads; on failure the previous
+    // pointer is restored and the data already in memory keeps being served
+    async _activate(id) {
+        const previous = this._getActiveVersionId();
+        await this._pointCurrentAt(id);
+        try {
+            await this.staticData.reload();
+        } catch (error) {
+            await this._pointCurrentAt(previous);
+            throw error;
+        }
+    }
+
+    async _pointCurrentAt(id) {
+        const current = path.join(path.resolve(this.agency.staticData.dir), 'current');
+        if (!id || id === BASE_VERSION) {
+            await rm(current, { force: true });
+            return;
+        }
+
+        // rename() over the old link swaps it atomically
+        const temp = `${current}.tmp`;
+        await rm(temp, { force: true });
+        await symlink(path.join('versions', id), temp);
+        await rename(temp, current);
+    }
+
+    _getActiveVersionId() {
+        const dataDir = path.resolve(this.agency.staticData.dir);
+        try {
+            if (lstatSync(path.join(dataDir, 'current')).isSymbolicLink()) {
+                return path.basename(readlinkSync(path.join(dataDir, 'current')));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return existsSync(path.join(dataDir, 'stops.txt')) ? BASE_VERSION : null;
+    }
+
+    _readFeedInfo(dir) {
+        try {
+            const [feedInfo] = parseCsvFileSync(path.join(dir, 'feed_info.txt'));
+            return {
+                feedVersion: feedInfo?.feed_version || null,
+                feedStartDate: feedInfo?.feed_start_date || null,
+                feedEndDate: feedInfo?.feed_end_date || null
+            };
+        } catch {
+            return { feedVersion: null, feedStartDate: null, feedEndDate: null };
+        }
+    }
+
+    // Keeps the active version plus the most recent previous ones
+    async _prune() {
+        const stale = this.getVersions()
+            .filter(version => version.id !== BASE_VERSION && !version.active)
+            .slice(config.staticUpdates.keepVersions);
+
+        for (const version of stale) {
+            this.log.info({ version: version.id }, 'Removing old GTFS version');
+            await rm(path.join(path.resolve(this.agency.staticData.dir), 'versions', version.id), { recursive: true, force: true });
+        }
+    }
+}
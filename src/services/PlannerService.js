@@ -0,0 +1,328 @@
+import { config } from '../config/config.js';
+
+// Earliest-arrival trip planner using the Connection Scan Algorithm over
+// scheduled stop_times, shifted by real-time delays where the feed has them.
+export class PlannerService {
+    constructor({ staticData, calendar, transit }) {
+        this.staticData = staticData;
+        this.calendar = calendar;
+        this.transit = transit;
+        // serviceDate -> { loadedAt, index, connections }
+        this._dayConnections = new Map();
+    }
+
+    plan(fromId, toId, departAt, limit = 3) {
+        const origins = this._resolveStation(fromId);
+        const destinations = this._resolveStation(toId);
+        const depart = Math.floor(departAt.getTime() / 1000);
+
+        const result = {
+            from: this._formatStation(fromId),
+            to: this._formatStation(toId),
+            depart: new Date(depart * 1000).toISOString(),
+            itineraries: [],
+            warnings: []
+        };
+
+        if (origins.some(stopId => destinations.includes(stopId))) {
+            result.warnings.push('Origin and destination are the same station');
+            return result;
+        }
+
+        const realtime = this.transit.getRealtimeStopTimes();
+        if (realtime.size === 0) {
+            result.warnings.push('Real-time delays unavailable; planning on schedule only');
+        }
+
+        const connections = this._buildConnections(depart, realtime);
+
+        // Each scan finds the earliest arrival leaving after the previous find, so
+        // arrivals never decrease. Journeys sharing an arrival are dominated by
+        // the one leaving latest, then with the fewest transfers; scanning goes
+        // on until a new arrival time shows up past the limit.
+        const journeys = [];
+        let searchFrom = depart;
+        for (;;) {
+            const journey = this._scan(connections, origins, destinations, searchFrom);
+            if (!journey) break;
+
+            const candidate = {
+                journey,
+                departure: journey[0].board.departure,
+                arrival: journey[journey.length - 1].alight.arrival,
+                transfers: journey.length - 1
+            };
+            const previous = journeys[journeys.length - 1];
+            if (previous && previous.arrival === candidate.arrival) {
+                if (candidate.departure > previous.departure ||
+                    (candidate.departure === previous.departure && candidate.transfers < previous.transfers)) {
+                    journeys[journeys.length - 1] = candidate;
+                }
+            } else if (journeys.length < limit) {
+                journeys.push(candidate);
+            } else {
+                break;
+            }
+            // Look for the next itinerary leaving strictly after this one
+            searchFrom = candidate.departure + 1;
+        }
+        result.itineraries = journeys.map(({ journey }) => this._formatItinerary(journey));
+
+        if (result.itineraries.length === 0) {
+            result.warnings.push('No itineraries found within the planning horizon');
+        }
+
+        return result;
+    }
+
+    _resolveStation(stopId) {
+        const platforms = this.staticData.getStationPlatforms(stopId);
+        if (platforms.length === 0) {
+            throw new Error(`Stop ${stopId} not found`);
+        }
+        return platforms;
+    }
+
+    _formatStation(stopId) {
+        const stop = this.staticData.resolveStop(stopId);
+        const station = stop.parent_station ? this.staticData.getStop(stop.parent_station) || stop : stop;
+        return { id: station.stop_id, name: station.stop_name };
+    }
+
+    _buildConnections(depart, realtime) {
+        const horizon = depart + config.planner.horizonMinutes * 60;
+        const serviceDates = this.calendar.getRunningServiceDates(new Date(depart * 1000));
+
+        // Days that stopped running are dropped rather than kept around
+        this._dayConnections.forEach((cached, serviceDate) => {
+            if (!serviceDates.includes(serviceDate)) this._dayConnections.delete(serviceDate);
+        });
+
+        return serviceDates
+            .flatMap(serviceDate => this._getDayConnections(serviceDate, realtime))
+            .filter(c => c.departure >= depart && c.departure <= horizon)
+            .sort((a, b) => a.departure - b.departure || a.arrival - b.arrival);
+    }
+
+    // Every connection of one service day, built once per static data load and
+    // trips feed rather than on each request
+    _getDayConnections(serviceDate, realtime) {
+        const loadedAt = this.staticData.loadedAt;
+        const index = this.transit.getRealtimeIndex();
+        const cached = this._dayConnections.get(serviceDate);
+        if (cached && cached.loadedAt === loadedAt && cached.index === index) {
+            return cached.connections;
+        }
+
+        const connections = [];
+        const activeServices = this.calendar.getActiveServiceIds(serviceDate);
+        const cancelled = this.transit.getCancelledTripIds();
+        const dayStart = Math.floor(this.calendar.getServiceDayStart(serviceDate) / 1000);
+
+        this.staticData.getAllTrips().forEach(trip => {
+            if (!activeServices.has(trip.service_id) || cancelled.has(trip.trip_id)) return;
+
+            const stopTimes = this.staticData.getStopTimesForTrip(trip.trip_id);
+            const times = this.transit.predictStopTimes(stopTimes, dayStart, realtime.get(trip.trip_id));
+
+            for (let i = 0; i < stopTimes.length - 1; i++) {
+                const dep = times[i].departure;
+                const arr = times[i + 1].arrival;
+                if (dep === null || arr === null) continue;
+
+                connections.push({
+                    runId: `${serviceDate}:${trip.trip_id}`,
+                    tripId: trip.trip_id,
+                    routeId: trip.route_id,
+                    fromStop: stopTimes[i].stop_id,
+                    toStop: stopTimes[i + 1].stop_id,
+                    fromIndex: i,
+                    toIndex: i + 1,
+                    departure: dep,
+                    arrival: arr,
+                    scheduledDeparture: times[i].scheduledDeparture,
+                    scheduledArrival: times[i + 1].scheduledArrival,
+                    delay: times[i].delay,
+                    realtime: times[i].realtime,
+                    canBoard: stopTimes[i].pickup_type !== '1',
+                    canAlight: stopTimes[i + 1].drop_off_type !== '1'
+                });
+            }
+        });
+
+        this._dayConnections.set(serviceDate, { loadedAt, index, connections });
+        return connections;
+    }
+
+    _scan(connections, origins, destinations, depart) {
+        const labels = new Map();
+        const tripEntries = new Map();
+        const destinationSet = new Set(destinations);
+
+        origins.forEach(stopId => labels.set(stopId, { stopId, time: depart, legs: 0, tripId: null }));
+
+        let best = null;
+
+        for (const c of connections) {
+            if (c.departure < depart) continue;
+            if (best && c.departure >= best.time) break;
+
+            let entry = tripEntries.get(c.runId);
+            if (!entry && c.canBoard) {
+                const previous = this._findBoarding(c, labels);
+                if (previous) {
+                    entry = { connection: c, previous };
+                    tripEntries.set(c.runId, entry);
+                }
+            }
+            if (!entry || !c.canAlight) continue;
+
+            const current = labels.get(c.toStop);
+            if (!current || c.arrival < current.time) {
+                const label = {
+                    stopId: c.toStop,
+                    time: c.arrival,
+                    legs: entry.previous.label.legs + 1,
+                    tripId: c.tripId,
+                    routeId: c.routeId,
+                    entry,
+                    exit: c
+                };
+                labels.set(c.toStop, label);
+
+                if (destinationSet.has(c.toStop) && (!best || label.time < best.time)) {
+                    best = label;
+                }
+            }
+        }
+
+        return best ? this._reconstruct(best) : null;
+    }
+
+    // Best label from which the connection's trip can be boarded, honoring
+    // transfers.txt and same-station platform changes
+    _findBoarding(c, labels) {
+        let chosen = null;
+
+        this._transferSources(c.fromStop).forEach(fromStop => {
+            const label = labels.get(fromStop);
+            if (!label) return;
+
+            let transferSeconds = 0;
+            if (label.tripId !== null) {
+                transferSeconds = this._transferTime(fromStop, c.fromStop, label, c);
+            } else if (fromStop !== c.fromStop) {
+                return;
+            }
+
+            if (label.time + transferSeconds > c.departure) return;
+            if (!chosen || label.legs < chosen.label.legs ||
+                (label.legs === chosen.label.legs && label.time < chosen.label.time)) {
+                chosen = { label, transferSeconds };
+            }
+        });
+
+        return chosen;
+    }
+
+    _transferSources(stopId) {
+        const sources = new Set(this.staticData.getStationPlatforms(stopId));
+        sources.add(stopId);
+        this.staticData.getTransfersTo(stopId).forEach(transfer => {
+            if (transfer.transfer_type !== '3') sources.add(transfer.from_stop_id);
+        });
+        return sources;
+    }
+
+    _transferTime(fromStop, toStop, label, c) {
+        const rules = this.staticData.getTransfersFrom(fromStop).filter(rule =>
+            rule.to_stop_id === toStop &&
+            (!rule.from_route_id || rule.from_route_id === label.routeId) &&
+            (!rule.to_route_id || rule.to_route_id === c.routeId) &&
+            (!rule.from_trip_id || rule.from_trip_id === label.tripId) &&
+            (!rule.to_trip_id || rule.to_trip_id === c.tripId)
+        );
+
+        // Most specific rule wins: trip constraints, then route constraints
+        const specificity = rule =>
+            (rule.from_trip_id ? 4 : 0) + (rule.to_trip_id ? 4 : 0) +
+            (rule.from_route_id ? 1 : 0) + (rule.to_route_id ? 1 : 0);
+        const rule = rules.sort((a, b) => specificity(b) - specificity(a))[0];
+
+        if (rule) {
+            if (rule.transfer_type === '3') return Infinity;
+            if (rule.transfer_type === '2') return parseInt(rule.min_transfer_time, 10) || 0;
+            return 0;
+        }
+
+        return config.planner.defaultTransferSeconds;
+    }
+
+    _reconstruct(label) {
+        const legs = [];
+        while (label.tripId !== null) {
+            legs.unshift({
+                board: label.entry.connection,
+                alight: label.exit,
+                transferSeconds: label.entry.previous.transferSeconds
+            });
+            label = label.entry.previous.label;
+        }
+        return legs;
+    }
+
+    _formatItinerary(journey) {
+        const legs = journey.map(({ board, alight }) => {
+            const trip = this.staticData.getTrip(board.tripId);
+            const route = this.staticData.getRoute(board.routeId);
+            return {
+                tripId: board.tripId,
+                routeId: board.routeId,
+                routeName: route?.route_short_name || board.routeId,
+                routeColor: route?.route_color ? `#${route.route_color}` : null,
+                headsign: trip?.trip_headsign,
+                from: this._formatStop(board.fromStop),
+                to: this._formatStop(alight.toStop),
+                departure: new Date(board.departure * 1000).toISOString(),
+                arrival: new Date(alight.arrival * 1000).toISOString(),
+                scheduledDeparture: new Date(board.scheduledDeparture * 1000).toISOString(),
+                scheduledArrival: new Date(alight.scheduledArrival * 1000).toISOString(),
+                delay: alight.arrival - alight.scheduledArrival,
+                stops: alight.toIndex - board.fromIndex,
+                source: board.realtime ? 'realtime' : 'scheduled'
+            };
+        });
+
+        const transfers = journey.slice(1).map((leg, i) => {
+            const arriving = this._formatStop(journey[i].alight.toStop);
+            return {
+                station: arriving.name,
+                fromPlatform: arriving,
+                toPlatform: this._formatStop(leg.board.fromStop),
+                minTransferSeconds: leg.transferSeconds,
+                waitMinutes: Math.round((leg.board.departure - journey[i].alight.arrival) / 60)
+            };
+        });
+
+        const departure = journey[0].board.departure;
+        const arrival = journey[journey.length - 1].alight.arrival;
+
+        return {
+            departure: new Date(departure * 1000).toISOString(),
+            arrival: new Date(arrival * 1000).toISOString(),
+            durationMinutes: Math.round((arrival - departure) / 60),
+            transfers: transfers.length,
+            legs,
+            transferStations: transfers
+        };
+    }
+
+    _formatStop(stopId) {
+        const stop = this.staticData.getStop(stopId);
+        return {
+            id: stopId,
+            name: stop?.stop_name,
+            platform: stop?.platform_code
+        };
+    }
+}
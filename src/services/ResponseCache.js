@@ -0,0 +1,80 @@
+import { createHash } from 'crypto';
+import { config } from '../config/config.js';
+
+// Memoized JSON payloads for the polling endpoints, keyed by request parameters.
+// Each entry remembers the data version it was built from:
+//   "realtime": last trips/alerts refresh, static data load, and the current
+//               refresh window so minute countdowns and staleness warnings still age
+//   "static":   static data load only
+// Entries are also dropped on every trips/alerts refresh.
+export class ResponseCache {
+    constructor({ agency, staticData, monitor, clock }) {
+        this.agency = agency;
+        this.staticData = staticData;
+        this.monitor = monitor;
+        this.clock = clock;
+        this.entries = new Map();
+
+        this._onUpdate = ({ type }) => {
+            if (type !== 'vehicles') this.entries.clear();
+        };
+        this.monitor.on('update', this._onUpdate);
+    }
+
+    close() {
+        this.monitor.off('update', this._onUpdate);
+        this.entries.clear();
+    }
+
+    getVersion(scope) {
+        const loadedAt = this.staticData.loadedAt?.getTime() || 0;
+        if (scope === 'static') return String(loadedAt);
+
+        return [
+            this.monitor.lastTripsUpdate?.getTime() || 0,
+            this.monitor.lastAlertsUpdate?.getTime() || 0,
+            loadedAt,
+            Math.floor(this.clock.now() / this.agency.refreshInterval)
+        ].join(':');
+    }
+
+    // Seconds until the payload may change: the next expected trips refresh or
+    // the end of the current refresh window, whichever comes first. Both are
+    // measured on the agency clock, which runs faster during accelerated replay.
+    getMaxAge(scope) {
+        if (scope === 'static') return config.responseCache.staticMaxAge;
+
+        const now = this.clock.now();
+        const interval = this.agency.refreshInterval;
+        const windowEnd = (Math.floor(now / interval) + 1) * interval;
+        const lastUpdate = this.monitor.lastTripsUpdate?.getTime();
+        const nextRefresh = lastUpdate ? Math.max(lastUpdate + interval, now) : windowEnd;
+        return Math.floor(this.clock.delayUntil(Math.min(windowEnd, nextRefresh)) / 1000);
+    }
+
+    etag(key, version) {
+        const hash = createHash('sha1').update(JSON.stringify([this.agency.id, key, version])).digest('hex');
+        return `"${hash.slice(0, 16)}"`;
+    }
+
+    get(key, version) {
+        const cacheKey = JSON.stringify(key);
+        const entry = this.entries.get(cacheKey);
+        if (!entry || entry.version !== version) return null;
+
+        // Refresh insertion order so the oldest entry is the least recently used
+        this.entries.delete(cacheKey);
+        this.entries.set(cacheKey, entry);
+        return entry.body;
+    }
+
+    set(key, version, body) {
+        const cacheKey = JSON.stringify(key);
+        this.entries.delete(cacheKey);
+        this.entries.set(cacheKey, { version, body });
+
+        if (this.entries.size > config.responseCache.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
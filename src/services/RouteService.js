@@ -0,0 +1,127 @@
+import { simplify } from '../lib/geo.js';
+
+export class RouteService {
+    constructor({ staticData }) {
+        this.staticData = staticData;
+    }
+
+    getRoutes() {
+        return this.staticData.getAllRoutes().map(route => ({
+            ...this._formatRoute(route),
+            directions: this._getDirections(route.route_id).map(({ directionId, directionName, headsigns }) =>
+                ({ directionId, directionName, headsigns }))
+        }));
+    }
+
+    // GeoJSON FeatureCollection with one LineString per shape the route's trips use,
+    // plus the ordered stops for each direction as foreign members
+    getRouteShape(routeId, tolerance = 0) {
+        const route = this.staticData.getRoute(routeId);
+        if (!route) {
+            throw new Error(`Route ${routeId} not found`);
+        }
+
+        const features = [];
+        const directions = this._getDirections(routeId);
+
+        directions.forEach(direction => {
+            direction.shapes.forEach(({ shapeId, tripCount }) => {
+                const points = this.staticData.getShape(shapeId).map(p => [p.lat, p.lon]);
+                if (points.length < 2) return;
+
+                features.push({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: simplify(points, tolerance).map(([lat, lon]) => [lon, lat])
+                    },
+                    properties: {
+                        shapeId,
+                        routeId,
+                        directionId: direction.directionId,
+                        directionName: direction.directionName,
+                        tripCount,
+                        color: route.route_color ? `#${route.route_color}` : null
+                    }
+                });
+            });
+        });
+
+        return {
+            type: 'FeatureCollection',
+            features,
+            route: this._formatRoute(route),
+            directions: directions.map(({ directionId, directionName, headsigns, stops }) =>
+                ({ directionId, directionName, headsigns, stops }))
+        };
+    }
+
+    _formatRoute(route) {
+        return {
+            id: route.route_id,
+            shortName: route.route_short_name,
+            longName: route.route_long_name,
+            type: parseInt(route.route_type, 10),
+            color: route.route_color ? `#${route.route_color}` : null,
+            textColor: route.route_text_color ? `#${route.route_text_color}` : null,
+            url: route.route_url || null
+        };
+    }
+
+    // Groups the route's trips by direction_id. The stop list comes from the
+    // longest trip on the direction's most-used shape, so short turns don't truncate it.
+    _getDirections(routeId) {
+        const byDirection = new Map();
+
+        this.staticData.getTripsForRoute(routeId).forEach(trip => {
+            const directionId = trip.direction_id || '';
+            if (!byDirection.has(directionId)) {
+                byDirection.set(directionId, { trips: [], shapes: new Map(), headsigns: new Set() });
+            }
+            const group = byDirection.get(directionId);
+            group.trips.push(trip);
+            if (trip.trip_headsign) group.headsigns.add(trip.trip_headsign);
+            if (trip.shape_id) group.shapes.set(trip.shape_id, (group.shapes.get(trip.shape_id) || 0) + 1);
+        });
+
+        return Array.from(byDirection.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([directionId, group]) => {
+                const shapes = Array.from(group.shapes.entries())
+                    .map(([shapeId, tripCount]) => ({ shapeId, tripCount }))
+                    .sort((a, b) => b.tripCount - a.tripCount);
+
+                const mainShape = shapes[0]?.shapeId;
+                const candidates = mainShape ? group.trips.filter(t => t.shape_id === mainShape) : group.trips;
+                const representative = candidates.reduce((best, trip) =>
+                    !best || this.staticData.getStopTimesForTrip(trip.trip_id).length >
+                        this.staticData.getStopTimesForTrip(best.trip_id).length ? trip : best, null);
+
+                return {
+                    directionId: directionId === '' ? null : directionId,
+                    directionName: this.staticData.getDirectionName(routeId, directionId || undefined),
+                    headsigns: Array.from(group.headsigns),
+                    shapes,
+                    stops: representative ? this._formatStops(representative) : []
+                };
+            });
+    }
+
+    _formatStops(trip) {
+        const stops = [];
+        this.staticData.getStopTimesForTrip(trip.trip_id).forEach(stopTime => {
+            // BART lists some platforms twice in a row (arrival and departure rows)
+            if (stops.length > 0 && stops[stops.length - 1].id === stopTime.stop_id) return;
+
+            const stop = this.staticData.getStop(stopTime.stop_id);
+            stops.push({
+                id: stopTime.stop_id,
+                name: stop?.stop_name,
+                station: stop?.parent_station || null,
+                lat: parseFloat(stop?.stop_lat),
+                lon: parseFloat(stop?.stop_lon)
+            });
+        });
+        return stops;
+    }
+}
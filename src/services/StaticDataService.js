@@ -1,55 +1,196 @@
-import { parse } from 'csv-parse';
-import { readFile } from 'fs/promises';
+import { existsSync, realpathSync } from 'fs';
 import { join } from 'path';
-import { config } from '../config/config.js';
 import logger from '../lib/logger.js';
+import { parseCsvFile } from '../lib/csv.js';
+import { metrics } from '../lib/metrics.js';
+import { haversineDistance } from '../lib/geo.js';
+import { destinationFromHeadsign, shortDestinationName } from '../lib/destinations.js';
 
-const log = logger.child({ service: 'static-data' });
+const staticRows = metrics.gauge('gtfs_static_rows', 'Rows loaded from each static GTFS file', ['agency', 'file']);
 
-class StaticDataService {
-    constructor() {
+// Falls back to the route's only listed direction, then the raw direction_id
+function resolveDirectionName(directions, routeDirections, routeId, directionId) {
+    if (directionId === undefined || directionId === '') return null;
+    return directions.get(`${routeId}:${directionId}`) || routeDirections.get(routeId) || directionId;
+}
+
+// One entry per headsign: { name, shortName, direction }. Headsigns ending at
+// the same station share the shortest label any of them uses for it, so
+// "SF / OAK Airport / Berryessa" and "OAK Airport / Berryessa/North San Jose"
+// both read "Berryessa". direction comes from directions.txt, when every trip
+// with the headsign agrees on one.
+function buildDestinations(trips, stopTimes, stops, getDirection) {
+    const headsigns = new Map();
+    trips.forEach(trip => {
+        if (!trip.trip_headsign) return;
+        const direction = getDirection(trip);
+        const entry = headsigns.get(trip.trip_headsign);
+        if (entry) {
+            if (entry.direction !== direction) entry.direction = null;
+            return;
+        }
+        const times = stopTimes.get(trip.trip_id) || [];
+        const lastStop = stops.get(times[times.length - 1]?.stop_id);
+        headsigns.set(trip.trip_headsign, {
+            label: destinationFromHeadsign(trip.trip_headsign),
+            terminal: lastStop?.parent_station || lastStop?.stop_id || null,
+            direction
+        });
+    });
+
+    const labels = new Map();
+    headsigns.forEach(({ label, terminal }) => {
+        if (!terminal) return;
+        const current = labels.get(terminal);
+        if (!current || label.length < current.length) labels.set(terminal, label);
+    });
+
+    const destinations = new Map();
+    headsigns.forEach(({ label, terminal, direction }, headsign) => {
+        const name = labels.get(terminal) || label;
+        destinations.set(headsign, { name, shortName: shortDestinationName(name), direction });
+    });
+    return destinations;
+}
+
+export class StaticDataService {
+    constructor(agency) {
+        this.agency = agency;
+        this.log = logger.child({ service: 'static-data', agency: agency.id });
+        this._unregisterMetrics = metrics.collect(() => {
+            Object.entries(this.rowCounts).forEach(([file, count]) => staticRows.set({ agency: agency.id, file }, count));
+        });
         this.stops = new Map();
+        this.childStops = new Map();
+        this.stopsByCode = new Map();
         this.routes = new Map();
+        this.directions = new Map();
+        this.routeDirections = new Map();
+        this.directionNames = [];
+        this.destinations = new Map();
         this.trips = new Map();
+        this.tripsByRoute = new Map();
         this.stopTimes = new Map();
+        this.shapes = new Map();
+        this.stopTimesByStop = new Map();
+        this.routesByStop = new Map();
+        this.transfers = new Map();
+        this.transfersTo = new Map();
+        this.agencies = new Map();
+        this.calendar = new Map();
+        this.calendarDates = new Map();
+        this.calendarAttributes = new Map();
+        this.feedInfo = null;
+        this.fareAttributes = new Map();
+        this.fareRules = new Map();
+        this.fareRiderCategories = new Map();
+        this.riderCategories = new Map();
+        this.rowCounts = {};
+        this.dataDir = null;
+        this.loadedAt = null;
+        this._loadingDir = null;
         this.initialized = false;
     }
 
+    // Installed updates live under versions/ with "current" pointing at the active
+    // one; until the first update the files in the data directory itself are used.
+    // Resolved once per load so a swap mid-load can't mix two versions.
+    resolveDataDir() {
+        const current = join(this.agency.staticData.dir, 'current');
+        return existsSync(current) ? realpathSync(current) : this.agency.staticData.dir;
+    }
+
+    hasData() {
+        return existsSync(join(this.resolveDataDir(), 'stops.txt'));
+    }
+
     async _parseFile(filename) {
-        const content = await readFile(join(config.paths.staticData, filename), 'utf-8');
-        return new Promise((resolve, reject) => {
-            parse(content, { columns: true, skip_empty_lines: true }, (err, records) => {
-                if (err) reject(err);
-                else resolve(records);
-            });
-        });
+        return parseCsvFile(join(this._loadingDir, filename));
+    }
+
+    async _parseOptionalFile(filename) {
+        try {
+            return await this._parseFile(filename);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
     }
 
     async load() {
         if (this.initialized) return;
 
         try {
-            log.info('Loading static GTFS data...');
+            this._loadingDir = this.resolveDataDir();
+            this.log.info({ dir: this._loadingDir }, 'Loading static GTFS data...');
 
             const newStops = new Map();
+            const newChildStops = new Map();
+            const newStopsByCode = new Map();
             const newRoutes = new Map();
+            const newDirections = new Map();
+            const newRouteDirections = new Map();
             const newTrips = new Map();
+            const newTripsByRoute = new Map();
             const newStopTimes = new Map();
+            const newShapes = new Map();
+            const newStopTimesByStop = new Map();
+            const newRoutesByStop = new Map();
+            const newTransfers = new Map();
+            const newTransfersTo = new Map();
+            const newAgencies = new Map();
+            const newCalendar = new Map();
+            const newCalendarDates = new Map();
+            const newCalendarAttributes = new Map();
+            const newFareAttributes = new Map();
+            const newFareRules = new Map();
+            const newFareRiderCategories = new Map();
+            const newRiderCategories = new Map();
 
             // Load stops
             const stops = await this._parseFile('stops.txt');
-            stops.forEach(stop => newStops.set(stop.stop_id, stop));
-            log.info({ count: newStops.size }, 'Loaded stops');
+            stops.forEach(stop => {
+                newStops.set(stop.stop_id, stop);
+                if (stop.stop_code) newStopsByCode.set(stop.stop_code, stop);
+                if (stop.parent_station) {
+                    if (!newChildStops.has(stop.parent_station)) {
+                        newChildStops.set(stop.parent_station, []);
+                    }
+                    newChildStops.get(stop.parent_station).push(stop.stop_id);
+                }
+            });
+            this.log.info({ count: newStops.size }, 'Loaded stops');
 
             // Load routes
             const routes = await this._parseFile('routes.txt');
             routes.forEach(route => newRoutes.set(route.route_id, route));
-            log.info({ count: newRoutes.size }, 'Loaded routes');
+            this.log.info({ count: newRoutes.size }, 'Loaded routes');
+
+            // Load direction names per route (non-standard but published by BART)
+            const directions = await this._parseOptionalFile('directions.txt');
+            directions.forEach(d => {
+                newDirections.set(`${d.route_id}:${d.direction_id}`, d.direction);
+                // BART routes are one-directional, yet a few trips carry the opposite
+                // direction_id; the route-level entry covers those
+                newRouteDirections.set(d.route_id, newRouteDirections.has(d.route_id) ? null : d.direction);
+            });
 
             // Load trips
             const trips = await this._parseFile('trips.txt');
-            trips.forEach(trip => newTrips.set(trip.trip_id, trip));
-            log.info({ count: newTrips.size }, 'Loaded trips');
+            trips.forEach(trip => {
+                newTrips.set(trip.trip_id, trip);
+                if (!newTripsByRoute.has(trip.route_id)) {
+                    newTripsByRoute.set(trip.route_id, []);
+                }
+                newTripsByRoute.get(trip.route_id).push(trip);
+            });
+            this.log.info({ count: newTrips.size }, 'Loaded trips');
+
+            const newDirectionNames = new Set(newDirections.values());
+            trips.forEach(trip => {
+                const name = resolveDirectionName(newDirections, newRouteDirections, trip.route_id, trip.direction_id);
+                if (name) newDirectionNames.add(name);
+            });
 
             // Load stop_times and index by trip_id
             const stopTimes = await this._parseFile('stop_times.txt');
@@ -58,39 +199,307 @@ class StaticDataService {
                     newStopTimes.set(stopTime.trip_id, []);
                 }
                 newStopTimes.get(stopTime.trip_id).push(stopTime);
+
+                if (!newStopTimesByStop.has(stopTime.stop_id)) {
+                    newStopTimesByStop.set(stopTime.stop_id, []);
+                }
+                newStopTimesByStop.get(stopTime.stop_id).push(stopTime);
+
+                const routeId = newTrips.get(stopTime.trip_id)?.route_id;
+                if (routeId) {
+                    if (!newRoutesByStop.has(stopTime.stop_id)) {
+                        newRoutesByStop.set(stopTime.stop_id, new Set());
+                    }
+                    newRoutesByStop.get(stopTime.stop_id).add(routeId);
+                }
+            });
+            newStopTimes.forEach(list => list.sort((a, b) => a.stop_sequence - b.stop_sequence));
+            this.log.info({ count: newStopTimes.size }, 'Loaded stop times');
+
+            const newDestinations = buildDestinations(trips, newStopTimes, newStops,
+                trip => resolveDirectionName(newDirections, newRouteDirections, trip.route_id, trip.direction_id));
+            this.log.info({ count: newDestinations.size }, 'Built destination table');
+
+            // Load shapes as ordered point lists; distances are computed when the feed omits them
+            const shapes = await this._parseOptionalFile('shapes.txt');
+            shapes.forEach(point => {
+                if (!newShapes.has(point.shape_id)) {
+                    newShapes.set(point.shape_id, []);
+                }
+                newShapes.get(point.shape_id).push({
+                    sequence: parseInt(point.shape_pt_sequence, 10),
+                    lat: parseFloat(point.shape_pt_lat),
+                    lon: parseFloat(point.shape_pt_lon),
+                    dist: point.shape_dist_traveled === undefined || point.shape_dist_traveled === ''
+                        ? null
+                        : parseFloat(point.shape_dist_traveled)
+                });
+            });
+            newShapes.forEach(points => {
+                points.sort((a, b) => a.sequence - b.sequence);
+                if (points.some(p => p.dist === null)) {
+                    let total = 0;
+                    points.forEach((p, i) => {
+                        if (i > 0) total += haversineDistance(points[i - 1].lat, points[i - 1].lon, p.lat, p.lon);
+                        p.dist = total;
+                    });
+                }
+            });
+            this.log.info({ count: newShapes.size }, 'Loaded shapes');
+
+            // Load transfers and index by from_stop_id and to_stop_id
+            const transfers = await this._parseOptionalFile('transfers.txt');
+            transfers.forEach(transfer => {
+                if (!newTransfers.has(transfer.from_stop_id)) {
+                    newTransfers.set(transfer.from_stop_id, []);
+                }
+                newTransfers.get(transfer.from_stop_id).push(transfer);
+
+                if (!newTransfersTo.has(transfer.to_stop_id)) {
+                    newTransfersTo.set(transfer.to_stop_id, []);
+                }
+                newTransfersTo.get(transfer.to_stop_id).push(transfer);
+            });
+            this.log.info({ count: transfers.length }, 'Loaded transfers');
+
+            // Load agency, calendar and calendar_dates for service-day lookups
+            const agencies = await this._parseFile('agency.txt');
+            agencies.forEach(agency => newAgencies.set(agency.agency_id || '', agency));
+
+            const calendar = await this._parseOptionalFile('calendar.txt');
+            calendar.forEach(service => newCalendar.set(service.service_id, service));
+
+            const calendarDates = await this._parseOptionalFile('calendar_dates.txt');
+            calendarDates.forEach(exception => {
+                if (!newCalendarDates.has(exception.date)) {
+                    newCalendarDates.set(exception.date, []);
+                }
+                newCalendarDates.get(exception.date).push(exception);
             });
-            log.info({ count: newStopTimes.size }, 'Loaded stop times');
+            this.log.info({ services: newCalendar.size, exceptions: calendarDates.length }, 'Loaded calendar');
+
+            const calendarAttributes = await this._parseOptionalFile('calendar_attributes.txt');
+            calendarAttributes.forEach(attr => newCalendarAttributes.set(attr.service_id, attr));
+
+            const [feedInfo = null] = await this._parseOptionalFile('feed_info.txt');
+
+            // Load fares; rules are indexed by origin/destination zone pair
+            const fareAttributes = await this._parseOptionalFile('fare_attributes.txt');
+            fareAttributes.forEach(fare => newFareAttributes.set(fare.fare_id, fare));
+
+            const fareRules = await this._parseOptionalFile('fare_rules.txt');
+            fareRules.forEach(rule => {
+                const key = `${rule.origin_id || ''}:${rule.destination_id || ''}`;
+                if (!newFareRules.has(key)) {
+                    newFareRules.set(key, []);
+                }
+                newFareRules.get(key).push(rule);
+            });
+
+            const fareRiderCategories = await this._parseOptionalFile('fare_rider_categories.txt');
+            fareRiderCategories.forEach(price => {
+                if (!newFareRiderCategories.has(price.fare_id)) {
+                    newFareRiderCategories.set(price.fare_id, []);
+                }
+                newFareRiderCategories.get(price.fare_id).push(price);
+            });
+
+            const riderCategories = await this._parseOptionalFile('rider_categories.txt');
+            riderCategories.forEach(category => newRiderCategories.set(category.rider_category_id, category));
+            this.log.info({ fares: newFareAttributes.size, rules: fareRules.length }, 'Loaded fares');
 
             // Atomic swap
             this.stops = newStops;
+            this.childStops = newChildStops;
+            this.stopsByCode = newStopsByCode;
             this.routes = newRoutes;
+            this.directions = newDirections;
+            this.routeDirections = newRouteDirections;
+            this.directionNames = Array.from(newDirectionNames);
+            this.destinations = newDestinations;
             this.trips = newTrips;
+            this.tripsByRoute = newTripsByRoute;
             this.stopTimes = newStopTimes;
+            this.shapes = newShapes;
+            this.stopTimesByStop = newStopTimesByStop;
+            this.routesByStop = newRoutesByStop;
+            this.transfers = newTransfers;
+            this.transfersTo = newTransfersTo;
+            this.agencies = newAgencies;
+            this.calendar = newCalendar;
+            this.calendarDates = newCalendarDates;
+            this.calendarAttributes = newCalendarAttributes;
+            this.feedInfo = feedInfo;
+            this.fareAttributes = newFareAttributes;
+            this.fareRules = newFareRules;
+            this.fareRiderCategories = newFareRiderCategories;
+            this.riderCategories = newRiderCategories;
+            this.rowCounts = {
+                agency: agencies.length,
+                stops: stops.length,
+                routes: routes.length,
+                trips: trips.length,
+                stop_times: stopTimes.length,
+                shapes: shapes.length,
+                transfers: transfers.length,
+                calendar: calendar.length,
+                calendar_dates: calendarDates.length,
+                fare_rules: fareRules.length
+            };
+            this.dataDir = this._loadingDir;
+            this.loadedAt = new Date();
             this.initialized = true;
         } catch (error) {
-            log.error({ err: error }, 'Error loading static GTFS data');
+            this.log.error({ err: error }, 'Error loading static GTFS data');
             throw error;
         }
     }
 
     async reload() {
-        log.info('Reloading static data...');
+        this.log.info('Reloading static data...');
+        const wasInitialized = this.initialized;
         this.initialized = false;
-        await this.load();
+        try {
+            await this.load();
+        } catch (error) {
+            // load() only swaps in complete data, so the previous feed is still being served
+            this.initialized = wasInitialized;
+            throw error;
+        }
     }
 
     getStop(stopId) {
         return this.stops.get(stopId);
     }
 
+    // Accepts a stop_id or stop_code
+    resolveStop(idOrCode) {
+        return this.stops.get(idOrCode) || this.stopsByCode.get(idOrCode);
+    }
+
     getRoute(routeId) {
         return this.routes.get(routeId);
     }
 
+    getDirectionName(routeId, directionId) {
+        return resolveDirectionName(this.directions, this.routeDirections, routeId, directionId);
+    }
+
+    getDirectionNames() {
+        return this.directionNames;
+    }
+
+    // Detaches the row-count collector and drops this agency's series
+    close() {
+        this._unregisterMetrics();
+        staticRows.clear({ agency: this.agency.id });
+    }
+
+    // { name, shortName, direction } for a headsign in trips.txt
+    getDestination(headsign) {
+        return this.destinations.get(headsign) || null;
+    }
+
+    getAllRoutes() {
+        return Array.from(this.routes.values());
+    }
+
+    getTripsForRoute(routeId) {
+        return this.tripsByRoute.get(routeId) || [];
+    }
+
     getTrip(tripId) {
         return this.trips.get(tripId);
     }
 
+    getChildStops(parentId) {
+        return this.childStops.get(parentId) || [];
+    }
+
+    // Platform stop IDs belonging to the same station as the given stop or station
+    getStationPlatforms(stopId) {
+        const stop = this.resolveStop(stopId);
+        if (!stop) return [];
+
+        const stationId = stop.location_type === '1' ? stop.stop_id : stop.parent_station;
+        if (!stationId) return [stop.stop_id];
+
+        // Skip entrances and other non-boarding children
+        return this.getChildStops(stationId).filter(id => {
+            const locationType = this.stops.get(id)?.location_type;
+            return !locationType || locationType === '0';
+        });
+    }
+
+    getTransfersFrom(stopId) {
+        return this.transfers.get(stopId) || [];
+    }
+
+    getTransfersTo(stopId) {
+        return this.transfersTo.get(stopId) || [];
+    }
+
+    getShape(shapeId) {
+        return this.shapes.get(shapeId) || [];
+    }
+
+    getStopTimesForTrip(tripId) {
+        return this.stopTimes.get(tripId) || [];
+    }
+
+    getAllTrips() {
+        return Array.from(this.trips.values());
+    }
+
+    getStopTimesForStop(stopId) {
+        return this.stopTimesByStop.get(stopId) || [];
+    }
+
+    getRoutesForStop(stopId) {
+        return Array.from(this.routesByStop.get(stopId) || []);
+    }
+
+    getAgencyIds() {
+        return Array.from(this.agencies.keys());
+    }
+
+    getTimezone() {
+        const agency = this.agencies.values().next().value;
+        return agency?.agency_timezone || this.agency.timezone;
+    }
+
+    getCalendarServices() {
+        return Array.from(this.calendar.values());
+    }
+
+    getCalendarExceptions(serviceDate) {
+        return this.calendarDates.get(serviceDate) || [];
+    }
+
+    getServiceDescription(serviceId) {
+        return this.calendarAttributes.get(serviceId)?.service_description || null;
+    }
+
+    getFeedInfo() {
+        return this.feedInfo;
+    }
+
+    getFareAttribute(fareId) {
+        return this.fareAttributes.get(fareId);
+    }
+
+    getFareRules(originZone, destinationZone) {
+        return this.fareRules.get(`${originZone || ''}:${destinationZone || ''}`) || [];
+    }
+
+    getFareRiderCategories(fareId) {
+        return this.fareRiderCategories.get(fareId) || [];
+    }
+
+    getRiderCategory(categoryId) {
+        return this.riderCategories.get(categoryId);
+    }
+
     getAllStops() {
         return Array.from(this.stops.values());
     }
@@ -103,5 +512,3 @@ class StaticDataService {
         }
     }
 }
-
-export const staticDataService = new StaticDataService();
@@ -0,0 +1,186 @@
+import { haversineDistance } from '../lib/geo.js';
+
+// Walking estimate: streets add roughly 30% to the straight-line distance,
+// covered at about 80 m a minute
+const WALK_DETOUR = 1.3;
+const WALK_METERS_PER_MINUTE = 80;
+
+function normalize(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Characters of the query appear in order; denser matches score higher
+function subsequenceScore(query, text) {
+    let position = -1;
+    let first = -1;
+    for (const char of query) {
+        position = text.indexOf(char, position + 1);
+        if (position === -1) return 0;
+        if (first === -1) first = position;
+    }
+    return query.length / (position - first + 1);
+}
+
+// Geographic and text lookup over stations. Platforms collapse to their parent
+// station; stops without a parent station stand for themselves.
+export class StopService {
+    constructor({ staticData, transit }) {
+        this.staticData = staticData;
+        this.transit = transit;
+    }
+
+    // Stations within radius meters, nearest first; departures > 0 embeds that
+    // many upcoming arrivals per station
+    async getNearby({ lat, lon, radius, limit, departures = 0 }) {
+        const stations = this._getStations()
+            .map(station => ({
+                station,
+                distance: haversineDistance(lat, lon, parseFloat(station.stop_lat), parseFloat(station.stop_lon))
+            }))
+            .filter(({ distance }) => distance <= radius)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit);
+
+        const results = [];
+        for (const { station, distance } of stations) {
+            const result = {
+                ...this._formatStation(station),
+                distanceMeters: Math.round(distance),
+                walkMinutes: Math.ceil(distance * WALK_DETOUR / WALK_METERS_PER_MINUTE)
+            };
+            if (departures > 0) {
+                result.departures = await this._getDepartures(station.stop_id, departures);
+            }
+            results.push(result);
+        }
+        return results;
+    }
+
+    // Ranked fuzzy match on stop_name and stop_code: exact code or id, name
+    // prefix, word prefix, substring, then typo-tolerant and in-order matches
+    search(query, limit) {
+        const q = normalize(query);
+        if (!q) return [];
+
+        const best = new Map();
+        this.staticData.getAllStops().forEach(stop => {
+            const locationType = stop.location_type || '0';
+            if (locationType !== '0' && locationType !== '1') return;
+
+            const match = this._score(q, stop);
+            if (!match) return;
+
+            const station = this._getStation(stop);
+            const current = best.get(station.stop_id);
+            if (!current || match.score > current.score) {
+                best.set(station.stop_id, { station, ...match });
+            }
+        });
+
+        return Array.from(best.values())
+            .sort((a, b) => b.score - a.score || a.station.stop_name.localeCompare(b.station.stop_name))
+            .slice(0, limit)
+            .map(({ station, score, matchedOn }) => ({
+                ...this._formatStation(station),
+                score: Math.round(score * 100) / 100,
+                matchedOn
+            }));
+    }
+
+    _score(q, stop) {
+        const code = normalize(stop.stop_code);
+        const id = normalize(stop.stop_id);
+        if (q === code || q === id) return { score: 1, matchedOn: q === code ? 'stop_code' : 'stop_id' };
+        if (code && code.startsWith(q)) return { score: 0.85, matchedOn: 'stop_code' };
+
+        const name = normalize(stop.stop_name);
+        if (!name) return null;
+        if (name === q) return { score: 0.99, matchedOn: 'stop_name' };
+        if (name.startsWith(q)) return { score: 0.95, matchedOn: 'stop_name' };
+
+        const words = name.split(' ');
+        if (words.some(word => word.startsWith(q))) return { score: 0.9, matchedOn: 'stop_name' };
+        if (name.includes(q)) return { score: 0.8, matchedOn: 'stop_name' };
+
+        // One typo per five characters, against the same-length start of any word
+        const allowed = Math.floor(q.length / 5) + (q.length >= 4 ? 1 : 0);
+        const typo = Math.min(...words.map(word => editDistance(q, word.slice(0, q.length))));
+        if (allowed > 0 && typo <= allowed) {
+            return { score: 0.7 - typo * 0.1, matchedOn: 'stop_name' };
+        }
+
+        const subsequence = subsequenceScore(q.replace(/ /g, ''), name.replace(/ /g, ''));
+        if (q.length >= 3 && subsequence >= 0.5) {
+            return { score: 0.3 * subsequence, matchedOn: 'stop_name' };
+        }
+        return null;
+    }
+
+    _getStations() {
+        return this.staticData.getAllStops().filter(stop =>
+            stop.location_type === '1' || (!stop.parent_station && (stop.location_type || '0') === '0'));
+    }
+
+    _getStation(stop) {
+        return (stop.parent_station && this.staticData.getStop(stop.parent_station)) || stop;
+    }
+
+    _formatStation(station) {
+        const platforms = station.location_type === '1' ? this.staticData.getStationPlatforms(station.stop_id) : [];
+        const routes = new Map();
+        (platforms.length > 0 ? platforms : [station.stop_id]).forEach(stopId => {
+            this.staticData.getRoutesForStop(stopId).forEach(routeId => {
+                const route = this.staticData.getRoute(routeId);
+                if (route) routes.set(routeId, route);
+            });
+        });
+
+        return {
+            id: station.stop_id,
+            name: station.stop_name,
+            code: station.stop_code || null,
+            lat: parseFloat(station.stop_lat),
+            lon: parseFloat(station.stop_lon),
+            platforms: platforms.map(id => ({ id, platform: this.staticData.getStop(id)?.platform_code || null })),
+            routes: Array.from(routes.values()).map(route => ({
+                id: route.route_id,
+                name: route.route_short_name || route.route_id,
+                color: route.route_color ? `#${route.route_color}` : null
+            }))
+        };
+    }
+
+    async _getDepartures(stationId, count) {
+        const stopInfo = await this.transit.getStopInfo(stationId, null);
+        return stopInfo.upcomingTrips.slice(0, count).map(trip => ({
+            destination: this.transit.getDestinationName(trip.headsign, trip.directionName),
+            routeName: trip.routeName,
+            routeColor: trip.routeColor,
+            platform: trip.platform,
+            minutesUntilArrival: trip.minutesUntilArrival,
+            status: trip.status || 'scheduled',
+            source: trip.source
+        }));
+    }
+}
@@ -0,0 +1,85 @@
+import { config } from '../config/config.js';
+import logger from '../lib/logger.js';
+
+// Server-Sent Events push of station arrivals, refreshed on every feed update
+export class StreamService {
+    constructor({ agency, monitor, transit }) {
+        this.agency = agency;
+        this.monitor = monitor;
+        this.transit = transit;
+        this.log = logger.child({ service: 'stream', agency: agency.id });
+        this.subscribers = new Set();
+        this._heartbeat = null;
+        this._onUpdate = (event) => this._broadcast(event);
+    }
+
+    start() {
+        this.monitor.on('update', this._onUpdate);
+        this._heartbeat = setInterval(() => this._sendHeartbeat(), config.stream.heartbeatInterval);
+        this.log.info('Stream service started');
+    }
+
+    stop() {
+        this.monitor.off('update', this._onUpdate);
+        clearInterval(this._heartbeat);
+        this.subscribers.forEach(subscriber => subscriber.res.end());
+        this.subscribers.clear();
+        this.log.info('Stream service stopped');
+    }
+
+    isFull() {
+        return this.subscribers.size >= config.stream.maxSubscribers;
+    }
+
+    async subscribe(req, res, { stopId, direction, limit, languages }) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.agency.refreshInterval}\n\n`);
+
+        const subscriber = { res, stopId, direction, limit, languages };
+        this.subscribers.add(subscriber);
+        this.log.debug({ stopId, subscribers: this.subscribers.size }, 'Stream subscriber added');
+
+        req.on('close', () => {
+            this.subscribers.delete(subscriber);
+            this.log.debug({ stopId, subscribers: this.subscribers.size }, 'Stream subscriber removed');
+        });
+
+        await this._push(subscriber, 'initial');
+    }
+
+    async _broadcast(event) {
+        for (const subscriber of this.subscribers) {
+            await this._push(subscriber, event.type);
+        }
+    }
+
+    async _push(subscriber, reason) {
+        try {
+            const stopInfo = await this.transit.getStopInfo(subscriber.stopId, subscriber.direction, {
+                languages: subscriber.languages
+            });
+            stopInfo.upcomingTrips = stopInfo.upcomingTrips.slice(0, subscriber.limit);
+            this._send(subscriber.res, 'arrivals', { reason, ...stopInfo });
+        } catch (error) {
+            this._send(subscriber.res, 'error', {
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    _sendHeartbeat() {
+        const timestamp = new Date().toISOString();
+        this.subscribers.forEach(subscriber => this._send(subscriber.res, 'heartbeat', { timestamp }));
+    }
+
+    _send(res, event, data) {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
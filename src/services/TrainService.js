@@ -0,0 +1,242 @@
+import { bearing } from '../lib/geo.js';
+
+// Where each active train is: last and next stop from the (delay-propagated)
+// trip predictions, and a lat/lon interpolated along its shapes.txt geometry.
+// Positions from a vehicle positions feed win when one is configured.
+export class TrainService {
+    constructor({ staticData, calendar, transit, monitor, clock }) {
+        this.staticData = staticData;
+        this.calendar = calendar;
+        this.transit = transit;
+        this.monitor = monitor;
+        this.clock = clock;
+        this._stopDistances = new Map();
+        this._stopDistancesSource = null;
+    }
+
+    getTrains({ route } = {}) {
+        const index = this.transit.getRealtimeIndex();
+        if (!index) return [];
+
+        const now = this.clock.seconds();
+        const vehicles = this._indexVehicles();
+        const trains = [];
+
+        index.byTrip.forEach((entry, tripId) => {
+            if (entry.cancelled) return;
+            if (route && entry.trip.route_id !== route) return;
+            const train = this._locate(entry, vehicles.get(tripId), now);
+            if (train) trains.push(train);
+        });
+
+        return trains;
+    }
+
+    getTrain(tripId) {
+        const entry = this.transit.getRealtimeIndex()?.byTrip.get(tripId);
+        const train = entry && !entry.cancelled && this._locate(entry, this._indexVehicles().get(tripId), this.clock.seconds());
+        if (!train) {
+            throw new Error(`Train ${tripId} not found`);
+        }
+        return train;
+    }
+
+    _indexVehicles() {
+        const vehicles = new Map();
+        this.monitor.getVehicles()?.entity.forEach(entity => {
+            const tripId = entity.vehicle?.trip?.tripId;
+            if (tripId && entity.vehicle.position) vehicles.set(tripId, entity.vehicle);
+        });
+        return vehicles;
+    }
+
+    _locate(entry, vehicle, now) {
+        const { trip, updates } = entry;
+        const stopTimes = this.staticData.getStopTimesForTrip(trip.trip_id);
+        const times = this._currentRun(trip, stopTimes, updates, now);
+        if (!times) return null;
+
+        const last = times.length - 1;
+        if (now > (times[last].arrival ?? times[last].departure)) return null;
+
+        // Last stop the train has reached (or sits at), and the one it's heading to
+        let prev = -1;
+        for (let i = 0; i < times.length; i++) {
+            if ((times[i].arrival ?? times[i].departure) <= now) prev = i;
+        }
+
+        const stoppedAt = prev === -1 ||
+            prev === last ||
+            (times[prev].departure !== null && now < times[prev].departure);
+        const next = stoppedAt ? Math.max(prev, 0) : prev + 1;
+        const current = Math.max(prev, 0);
+
+        const route = this.staticData.getRoute(trip.route_id);
+        const train = {
+            tripId: trip.trip_id,
+            routeId: trip.route_id,
+            routeName: route?.route_short_name || trip.route_id,
+            routeColor: route?.route_color ? `#${route.route_color}` : null,
+            headsign: trip.trip_headsign,
+            directionName: this.staticData.getDirectionName(trip.route_id, trip.direction_id),
+            status: stoppedAt ? 'STOPPED_AT' : 'IN_TRANSIT_TO',
+            lastStop: prev === -1 ? null : this._formatStop(stopTimes[prev], times[prev].departure),
+            nextStop: this._formatStop(stopTimes[next], times[next].arrival),
+            delay: times[current].delay,
+            position: null
+        };
+
+        if (entry.vehicle?.label) {
+            train.vehicleLabel = entry.vehicle.label;
+        }
+
+        if (vehicle) {
+            train.position = {
+                lat: vehicle.position.latitude,
+                lon: vehicle.position.longitude,
+                bearing: vehicle.position.bearing ?? null,
+                source: 'vehicle',
+                timestamp: vehicle.timestamp ? new Date(Number(vehicle.timestamp) * 1000).toISOString() : null
+            };
+        } else if (stoppedAt) {
+            train.position = this._stopPosition(stopTimes[current].stop_id);
+        } else {
+            const t0 = times[prev].departure ?? times[prev].arrival;
+            const t1 = times[next].arrival ?? times[next].departure;
+            const fraction = t1 > t0 ? Math.min(Math.max((now - t0) / (t1 - t0), 0), 1) : 0;
+            train.position = this._interpolate(trip, stopTimes, prev, next, fraction);
+        }
+
+        return train;
+    }
+
+    // A trip_id runs every service day; pick the run the real-time predictions
+    // belong to, or failing that the one scheduled around now
+    _currentRun(trip, stopTimes, updates, now) {
+        let fallback = null;
+
+        for (const serviceDate of this.calendar.getRunningServiceDates(new Date(now * 1000))) {
+            if (!this.calendar.getActiveServiceIds(serviceDate).has(trip.service_id)) continue;
+
+            const dayStart = Math.floor(this.calendar.getServiceDayStart(serviceDate) / 1000);
+            const times = this.transit.predictStopTimes(stopTimes, dayStart, updates);
+            if (times.length === 0) continue;
+            if (times[0].realtime) return times;
+
+            const start = times[0].departure ?? times[0].arrival;
+            const end = times[times.length - 1].arrival ?? times[times.length - 1].departure;
+            if (start <= now && now <= end) fallback = times;
+        }
+
+        return fallback;
+    }
+
+    _formatStop(stopTime, time) {
+        const stop = this.staticData.getStop(stopTime.stop_id);
+        return {
+            id: stopTime.stop_id,
+            name: stop?.stop_name,
+            sequence: parseInt(stopTime.stop_sequence, 10),
+            time: time === null ? null : new Date(time * 1000).toISOString()
+        };
+    }
+
+    _stopPosition(stopId) {
+        const stop = this.staticData.getStop(stopId);
+        return {
+            lat: parseFloat(stop?.stop_lat),
+            lon: parseFloat(stop?.stop_lon),
+            bearing: null,
+            source: 'stop'
+        };
+    }
+
+    _interpolate(trip, stopTimes, prev, next, fraction) {
+        const shape = this.staticData.getShape(trip.shape_id);
+        const distances = shape.length > 1 ? this._getStopDistances(trip, stopTimes, shape) : null;
+
+        if (!distances) {
+            // No geometry: straight line between the two stops
+            const a = this._stopPosition(stopTimes[prev].stop_id);
+            const b = this._stopPosition(stopTimes[next].stop_id);
+            return {
+                lat: a.lat + (b.lat - a.lat) * fraction,
+                lon: a.lon + (b.lon - a.lon) * fraction,
+                bearing: bearing(a.lat, a.lon, b.lat, b.lon),
+                source: 'interpolated'
+            };
+        }
+
+        const dist = distances[prev] + (distances[next] - distances[prev]) * fraction;
+        return { ...this._pointAtDistance(shape, dist), source: 'interpolated' };
+    }
+
+    // Distance along the shape for each stop of the trip. stop_times
+    // shape_dist_traveled is used when every stop has one on the shape's scale;
+    // BART only fills it for some stops, so otherwise stops are projected onto
+    // the shape in order.
+    _getStopDistances(trip, stopTimes, shape) {
+        if (this._stopDistancesSource !== this.staticData.trips) {
+            this._stopDistances.clear();
+            this._stopDistancesSource = this.staticData.trips;
+        }
+
+        const key = `${trip.shape_id}:${trip.trip_id}`;
+        if (this._stopDistances.has(key)) return this._stopDistances.get(key);
+
+        const shapeLength = shape[shape.length - 1].dist;
+        const published = stopTimes.map(st => {
+            const value = st.shape_dist_traveled ?? st.shape_distance_traveled;
+            return value === undefined || value === '' ? null : parseFloat(value);
+        });
+
+        let distances;
+        if (published.every(d => d !== null) && Math.max(...published) <= shapeLength * 1.01) {
+            distances = published;
+        } else {
+            let from = 0;
+            distances = stopTimes.map(st => {
+                const stop = this.staticData.getStop(st.stop_id);
+                from = this._nearestPoint(shape, parseFloat(stop?.stop_lat), parseFloat(stop?.stop_lon), from);
+                return shape[from].dist;
+            });
+        }
+
+        this._stopDistances.set(key, distances);
+        return distances;
+    }
+
+    _nearestPoint(shape, lat, lon, from) {
+        let best = from;
+        let bestDistance = Infinity;
+        for (let i = from; i < shape.length; i++) {
+            const d = (shape[i].lat - lat) ** 2 + (shape[i].lon - lon) ** 2;
+            if (d < bestDistance) {
+                bestDistance = d;
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    _pointAtDistance(shape, dist) {
+        let lo = 0;
+        let hi = shape.length - 1;
+        while (lo < hi - 1) {
+            const mid = (lo + hi) >> 1;
+            if (shape[mid].dist <= dist) lo = mid;
+            else hi = mid;
+        }
+
+        const a = shape[lo];
+        const b = shape[hi];
+        const span = b.dist - a.dist;
+        const f = span > 0 ? Math.min(Math.max((dist - a.dist) / span, 0), 1) : 0;
+
+        return {
+            lat: a.lat + (b.lat - a.lat) * f,
+            lon: a.lon + (b.lon - a.lon) * f,
+            bearing: bearing(a.lat, a.lon, b.lat, b.lon)
+        };
+    }
+}
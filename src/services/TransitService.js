@@ -1,35 +1,86 @@
-import { staticDataService } from './StaticDataService.js';
-import { gtfsMonitor } from './GtfsMonitor.js';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import { config } from '../config/config.js';
+import { parseGtfsTime } from '../lib/time.js';
+import { destinationFromHeadsign, shortDestinationName } from '../lib/destinations.js';
+import { metrics } from '../lib/metrics.js';
 
-class TransitService {
+const STALE_THRESHOLD_MS = 120000; // 2 minutes
 
-    async getStopInfo(stopId, direction) {
+const TripRelationship = GtfsRealtimeBindings.transit_realtime.TripDescriptor.ScheduleRelationship;
+const StopRelationship = GtfsRealtimeBindings.transit_realtime.TripUpdate.StopTimeUpdate.ScheduleRelationship;
+
+const tripUpdateMatches = metrics.gauge('gtfs_trip_updates',
+    'Trip updates in the current feed: matched to the static data, added, cancelled or unmatched', ['agency', 'status']);
+
+export class TransitService {
+    constructor({ agency, staticData, monitor, calendar, alerts, clock }) {
+        this.agency = agency;
+        this.staticData = staticData;
+        this.monitor = monitor;
+        this.calendar = calendar;
+        this.alerts = alerts;
+        this.clock = clock;
+        this._realtimeIndex = null;
+        this._unregisterMetrics = metrics.collect(() => {
+            const index = this.getRealtimeIndex();
+            tripUpdateMatches.set({ agency: agency.id, status: 'matched' },
+                index ? index.byTrip.size - index.addedTripIds.size : 0);
+            tripUpdateMatches.set({ agency: agency.id, status: 'added' }, index ? index.addedTripIds.size : 0);
+            tripUpdateMatches.set({ agency: agency.id, status: 'cancelled' }, index ? index.cancelledTripIds.size : 0);
+            tripUpdateMatches.set({ agency: agency.id, status: 'unmatched' }, index ? index.unmatchedTripIds.size : 0);
+        });
+
+        // Index each trips feed as soon as it lands rather than on the first request
+        this._onUpdate = ({ type }) => {
+            if (type === 'trips') this.getRealtimeIndex();
+        };
+        this.monitor.on('update', this._onUpdate);
+    }
+
+    // Detaches the metrics collector and feed listener
+    close() {
+        this._unregisterMetrics();
+        this.monitor.off('update', this._onUpdate);
+        tripUpdateMatches.clear({ agency: this.agency.id });
+    }
+
+    async getStopInfo(stopId, direction, options = {}) {
         const stopInfo = {
             stop: null,
             upcomingTrips: [],
             alerts: [],
             warnings: [],
-            lastUpdated: new Date().toISOString()
+            lastUpdated: this.clock.date().toISOString()
         };
 
-        // Get static stop information
-        const stop = staticDataService.getStop(stopId);
+        // Get static stop information; stations (or their stop_code) expand to every platform
+        const stop = this.staticData.resolveStop(stopId);
         if (!stop) {
             throw new Error(`Stop ${stopId} not found`);
         }
 
+        const isStation = stop.location_type === '1';
+        const platformIds = isStation ? this.staticData.getStationPlatforms(stop.stop_id) : [stop.stop_id];
+        const stopIds = new Set(platformIds);
+
         stopInfo.stop = {
             id: stop.stop_id,
             name: stop.stop_name,
             code: stop.stop_code,
-            platform: stop.platform_code,
+            platform: isStation ? null : stop.platform_code,
             lat: parseFloat(stop.stop_lat),
             lon: parseFloat(stop.stop_lon)
         };
+        if (isStation) {
+            stopInfo.stop.platforms = platformIds.map(id => ({
+                id,
+                platform: this.staticData.getStop(id)?.platform_code
+            }));
+        }
 
         // Get Real-time Trips
-        const tripsFeed = gtfsMonitor.getTrips();
-        const tripsStatus = gtfsMonitor.getStatus().trips;
+        const tripsFeed = this.monitor.getTrips();
+        const tripsStatus = this.monitor.getStatus().trips;
 
         if (!tripsFeed) {
             if (tripsStatus.error) {
@@ -39,169 +90,440 @@ class TransitService {
             }
         } else {
             // Check staleness
-            const now = Date.now();
+            const now = this.clock.now();
             const dataAge = now - (tripsStatus.lastUpdate ? tripsStatus.lastUpdate.getTime() : 0);
-            if (dataAge > 120000) { // 2 minutes
+            if (dataAge > STALE_THRESHOLD_MS) {
                 stopInfo.warnings.push(`Real-time data is stale (${Math.round(dataAge / 1000)}s old)`);
             }
             stopInfo.lastUpdated = tripsStatus.lastUpdate ? tripsStatus.lastUpdate.toISOString() : stopInfo.lastUpdated;
         }
 
+        let realtimeFresh = false;
         if (tripsFeed) {
-            this._processTrips(tripsFeed, stopInfo, stopId);
+            this._collectRealtimeTrips(this.getRealtimeIndex(), stopInfo, stopIds);
+            realtimeFresh = this.clock.now() - (tripsStatus.lastUpdate?.getTime() || 0) <= STALE_THRESHOLD_MS;
+        }
+
+        const scheduleMode = config.schedule.mode;
+        if (scheduleMode === 'merge' || (scheduleMode === 'fallback' && !realtimeFresh)) {
+            const added = this._addScheduledTrips(stopInfo, platformIds);
+            if (added > 0 && !realtimeFresh) {
+                stopInfo.warnings.push('Showing scheduled departures; real-time predictions unavailable');
+            }
         }
 
         this._sortAndFilterTrips(stopInfo, direction);
 
         // Get Alerts
-        const alertsFeed = gtfsMonitor.getAlerts();
+        const alertsFeed = this.monitor.getAlerts();
         if (alertsFeed) {
-            this._processAlerts(alertsFeed, stopInfo, stopId);
-        } else if (gtfsMonitor.getStatus().alerts.error) {
+            stopInfo.alerts = this.alerts.getAlerts({
+                stop: stop.stop_id,
+                trips: stopInfo.upcomingTrips.map(trip => trip.tripId),
+                languages: options.languages
+            });
+        } else if (this.monitor.getStatus().alerts.error) {
             stopInfo.warnings.push('Real-time alerts data unavailable');
         }
 
         return stopInfo;
     }
 
-    _processTrips(tripsFeed, stopInfo, stopId) {
-        const now = Math.floor(Date.now() / 1000); // Current time in seconds
-        let tripCount = 0;
-        let stopFoundCount = 0;
+    _collectRealtimeTrips(index, stopInfo, stopIds) {
+        const now = this.clock.seconds();
+
+        stopIds.forEach(stopId => {
+            (index.byStop.get(stopId) || []).forEach(({ time, info }) => {
+                // Only include future arrivals
+                if (time <= now) return;
+                stopInfo.upcomingTrips.push({
+                    ...info,
+                    minutesUntilArrival: Math.round((time - now) / 60)
+                });
+            });
+        });
+    }
+
+    // Decoded feed indexed by stop_id (arrivals sorted by time) and trip_id.
+    // Rebuilt once per feed refresh or static reload; swapped in with a single assignment.
+    getRealtimeIndex() {
+        const tripsFeed = this.monitor.getTrips();
+        if (!tripsFeed) return null;
+
+        const current = this._realtimeIndex;
+        if (current && current.feed === tripsFeed && current.staticTrips === this.staticData.trips) {
+            return current;
+        }
+
+        this._realtimeIndex = this._buildRealtimeIndex(tripsFeed);
+        return this._realtimeIndex;
+    }
+
+    // Trips are matched to the static data by trip_id. ADDED trips and trip_ids
+    // the static data doesn't know are kept when their route_id is known, with
+    // direction and headsign borrowed from a scheduled trip serving the same stops.
+    // CANCELED trips get their scheduled times and a "cancelled" status, or are
+    // dropped when schedule.cancelledTrips is "hide". SKIPPED stops are left out.
+    _buildRealtimeIndex(tripsFeed) {
+        const builtAt = this.clock.seconds();
+        const byStop = new Map();
+        const byTrip = new Map();
+        const unmatchedTripIds = new Set();
+        const cancelledTripIds = new Set();
+        const addedTripIds = new Set();
+
+        const addArrival = (stopId, time, info) => {
+            if (!byStop.has(stopId)) byStop.set(stopId, []);
+            byStop.get(stopId).push({ time, info });
+        };
 
         tripsFeed.entity.forEach(entity => {
             if (!entity.tripUpdate) return;
-            tripCount++;
 
             const tripUpdate = entity.tripUpdate;
             const tripId = tripUpdate.trip?.tripId;
 
             if (!tripId) return;
 
-            // Get trip details from static data
-            let trip = staticDataService.getTrip(tripId);
+            const relationship = tripUpdate.trip.scheduleRelationship ?? TripRelationship.SCHEDULED;
+            const stopTimeUpdates = tripUpdate.stopTimeUpdate || [];
+
+            let trip = relationship === TripRelationship.ADDED ? null : this.staticData.getTrip(tripId);
+            if (!trip) {
+                if (relationship !== TripRelationship.ADDED) unmatchedTripIds.add(tripId);
+                trip = this._buildAddedTrip(tripUpdate, stopTimeUpdates);
+                if (!trip) return;
+                addedTripIds.add(tripId);
+            }
 
-            // Sometimes tripId in GTFS-RT doesn't match static exactly or is added dyncamically
-            // We try to find it, but if not found, we might skip or try to infer.
-            // For BART, they usually match.
-            if (!trip) return;
+            const cancelled = relationship === TripRelationship.CANCELED;
+            if (cancelled) {
+                cancelledTripIds.add(tripId);
+            }
 
-            // Get Trip direction and route
-            const tripDirection = trip.direction_id === "0" ? "outbound" : "inbound";
-            const route = staticDataService.getRoute(trip.route_id);
             const vehicle = tripUpdate.vehicle || entity.vehicle;
+            const status = cancelled ? 'cancelled' : addedTripIds.has(tripId) ? 'added' : 'scheduled';
 
-            // Find stop time updates for our stop
-            if (tripUpdate.stopTimeUpdate) {
-                tripUpdate.stopTimeUpdate.forEach(stopTimeUpdate => {
-                    if (stopTimeUpdate.stopId === stopId) {
-                        stopFoundCount++;
-                        const arrival = stopTimeUpdate.arrival;
-                        const departure = stopTimeUpdate.departure;
-
-                        if (arrival || departure) {
-                            const time = arrival?.time || departure?.time;
-                            const delay = arrival?.delay || departure?.delay || 0;
-
-                            // Only include future arrivals
-                            if (time && Number(time) > now) {
-                                // Use decoding from long if needed, but JS handles this usually if not too huge
-                                // protobufjs uses Long objects, but gtfs-realtime-bindings might return them as objects or numbers
-                                // Safe to convert to Number if it's within safe integer range.
-                                const timeNum = Number(time);
-
-                                const scheduledTime = timeNum - delay;
-                                const arrivalTime = new Date(timeNum * 1000);
-                                const minutesUntilArrival = Math.round((timeNum - now) / 60);
-
-                                const tripInfo = {
-                                    tripId: tripId,
-                                    routeId: trip.route_id,
-                                    routeName: route?.route_short_name || trip.route_id,
-                                    routeLongName: route?.route_long_name || '',
-                                    headsign: trip.trip_headsign,
-                                    direction: tripDirection,
-                                    scheduledArrival: new Date(scheduledTime * 1000).toISOString(),
-                                    estimatedArrival: arrivalTime.toISOString(),
-                                    minutesUntilArrival: minutesUntilArrival,
-                                    delay: delay,
-                                    routeColor: route?.route_color ? `#${route.route_color}` : null,
-                                    routeTextColor: route?.route_text_color ? `#${route.route_text_color}` : null
-                                };
-
-                                if (vehicle?.occupancyStatus !== undefined) {
-                                    tripInfo.occupancyStatus = vehicle.occupancyStatus;
-                                }
-                                if (vehicle?.label) {
-                                    tripInfo.vehicleLabel = vehicle.label;
-                                }
-
-                                stopInfo.upcomingTrips.push(tripInfo);
-                            }
-                        }
-                    }
+            byTrip.set(tripId, {
+                trip,
+                tripUpdate,
+                vehicle,
+                status,
+                cancelled,
+                added: addedTripIds.has(tripId),
+                updates: stopTimeUpdates
+                    .filter(stopTimeUpdate => stopTimeUpdate.scheduleRelationship !== StopRelationship.SKIPPED)
+                    .map(stopTimeUpdate => ({
+                        stopId: stopTimeUpdate.stopId,
+                        // Decoded protobuf fields fall back to 0 on the prototype when absent
+                        stopSequence: Object.hasOwn(stopTimeUpdate, 'stopSequence') ? stopTimeUpdate.stopSequence : null,
+                        arrival: stopTimeUpdate.arrival?.time ? Number(stopTimeUpdate.arrival.time) : null,
+                        departure: stopTimeUpdate.departure?.time ? Number(stopTimeUpdate.departure.time) : null,
+                        delay: stopTimeUpdate.arrival?.delay ?? stopTimeUpdate.departure?.delay ?? null
+                    }))
+            });
+
+            const decorate = info => {
+                info.status = status;
+                if (vehicle?.occupancyStatus !== undefined) {
+                    info.occupancyStatus = vehicle.occupancyStatus;
+                }
+                if (vehicle?.label) {
+                    info.vehicleLabel = vehicle.label;
+                }
+                return info;
+            };
+
+            if (cancelled) {
+                if (config.schedule.cancelledTrips === 'hide') return;
+                this._scheduledRunTimes(trip, tripUpdate.trip.startDate).forEach(({ stopId, time }) => {
+                    addArrival(stopId, time, decorate(this._buildTripInfo(trip, stopId, time, 0, builtAt, 'realtime')));
                 });
+                return;
+            }
+
+            stopTimeUpdates.forEach(stopTimeUpdate => {
+                if (stopTimeUpdate.scheduleRelationship === StopRelationship.SKIPPED) return;
+
+                const arrival = stopTimeUpdate.arrival;
+                const departure = stopTimeUpdate.departure;
+                const time = arrival?.time || departure?.time;
+                if (!time) return;
+
+                // protobufjs may hand back Long objects; times are well within safe integer range
+                const timeNum = Number(time);
+                const delay = arrival?.delay || departure?.delay || 0;
+                const info = this._buildTripInfo(trip, stopTimeUpdate.stopId, timeNum, delay, builtAt, 'realtime');
+                addArrival(stopTimeUpdate.stopId, timeNum, decorate(info));
+            });
+        });
+
+        byStop.forEach(arrivals => arrivals.sort((a, b) => a.time - b.time));
+
+        return {
+            feed: tripsFeed,
+            staticTrips: this.staticData.trips,
+            byStop,
+            byTrip,
+            unmatchedTripIds,
+            cancelledTripIds,
+            addedTripIds
+        };
+    }
+
+    // Stand-in trip for an ADDED or unknown trip_id, built from its route_id and
+    // stops. Without a known route there is nothing meaningful to show.
+    _buildAddedTrip(tripUpdate, stopTimeUpdates) {
+        const routeId = tripUpdate.trip.routeId;
+        if (!routeId || !this.staticData.getRoute(routeId)) return null;
+
+        const stopIds = stopTimeUpdates
+            .filter(stopTimeUpdate => stopTimeUpdate.scheduleRelationship !== StopRelationship.SKIPPED)
+            .map(stopTimeUpdate => stopTimeUpdate.stopId)
+            .filter(Boolean);
+        const template = this._findTemplateTrip(routeId, stopIds);
+        const lastStop = this.staticData.getStop(stopIds[stopIds.length - 1]);
+
+        return {
+            trip_id: tripUpdate.trip.tripId,
+            route_id: routeId,
+            service_id: null,
+            direction_id: Object.hasOwn(tripUpdate.trip, 'directionId')
+                ? String(tripUpdate.trip.directionId)
+                : template?.direction_id,
+            trip_headsign: template?.trip_headsign || lastStop?.stop_name || null
+        };
+    }
+
+    // A scheduled trip on the route that calls at the first and last given stops, in that order
+    _findTemplateTrip(routeId, stopIds) {
+        if (stopIds.length < 2) return null;
+        const first = stopIds[0];
+        const last = stopIds[stopIds.length - 1];
+
+        return this.staticData.getTripsForRoute(routeId).find(trip => {
+            const sequence = this.staticData.getStopTimesForTrip(trip.trip_id).map(stopTime => stopTime.stop_id);
+            const i = sequence.indexOf(first);
+            return i !== -1 && sequence.indexOf(last, i + 1) !== -1;
+        }) || null;
+    }
+
+    // Scheduled times of a cancelled run: the feed's start_date, else the
+    // latest running service day the trip is scheduled on
+    _scheduledRunTimes(trip, startDate) {
+        const serviceDate = startDate || this.calendar.getRunningServiceDates()
+            .filter(date => this.calendar.getActiveServiceIds(date).has(trip.service_id))
+            .pop();
+        if (!serviceDate) return [];
+
+        const dayStart = Math.floor(this.calendar.getServiceDayStart(serviceDate) / 1000);
+        return this.staticData.getStopTimesForTrip(trip.trip_id)
+            .map(stopTime => {
+                const offset = parseGtfsTime(stopTime.arrival_time || stopTime.departure_time);
+                return offset === null ? null : { stopId: stopTime.stop_id, time: dayStart + offset };
+            })
+            .filter(Boolean);
+    }
+
+    // Feed/static match counts for /status
+    getRealtimeSummary() {
+        const index = this.getRealtimeIndex();
+        if (!index) return null;
+
+        const sample = Array.from(index.unmatchedTripIds).slice(0, 20);
+        return {
+            trips: index.byTrip.size,
+            matched: index.byTrip.size - index.addedTripIds.size,
+            added: index.addedTripIds.size,
+            cancelled: index.cancelledTripIds.size,
+            unmatched: index.unmatchedTripIds.size,
+            unmatchedTripIds: sample
+        };
+    }
+
+    // Real-time predictions keyed by trip_id, for trips known to the static data
+    getRealtimeStopTimes() {
+        const predictions = new Map();
+        const index = this.getRealtimeIndex();
+        if (!index) return predictions;
+
+        index.byTrip.forEach((entry, tripId) => {
+            if (!entry.added) predictions.set(tripId, entry.updates);
+        });
+        return predictions;
+    }
+
+    getCancelledTripIds() {
+        return this.getRealtimeIndex()?.cancelledTripIds || new Set();
+    }
+
+    // Scheduled times for one trip run, with real-time delays propagated
+    // downstream from the last stop that has a prediction
+    predictStopTimes(stopTimes, dayStart, updates) {
+        const scheduled = stopTimes.map(stopTime => {
+            const arrival = parseGtfsTime(stopTime.arrival_time || stopTime.departure_time);
+            const departure = parseGtfsTime(stopTime.departure_time || stopTime.arrival_time);
+            return {
+                arrival: arrival === null ? null : dayStart + arrival,
+                departure: departure === null ? null : dayStart + departure
+            };
+        });
+
+        const useRealtime = updates && this._matchesRun(stopTimes, scheduled, updates);
+        let delay = 0;
+
+        return stopTimes.map((stopTime, i) => {
+            const update = useRealtime && updates.find(u =>
+                u.stopSequence !== null
+                    ? String(u.stopSequence) === stopTime.stop_sequence
+                    : u.stopId === stopTime.stop_id
+            );
+            if (update) {
+                const predicted = update.arrival ?? update.departure;
+                const base = scheduled[i].arrival ?? scheduled[i].departure;
+                if (predicted !== null && base !== null) delay = predicted - base;
+                else if (update.delay !== null) delay = update.delay;
             }
+
+            const { arrival, departure } = scheduled[i];
+            return {
+                arrival: arrival === null ? null : arrival + delay,
+                departure: departure === null ? null : departure + delay,
+                scheduledArrival: arrival,
+                scheduledDeparture: departure,
+                delay,
+                realtime: !!useRealtime
+            };
         });
     }
 
+    // A trip_id runs on several service days; only apply predictions to the
+    // run whose scheduled times are within an hour of them
+    _matchesRun(stopTimes, scheduled, updates) {
+        for (const update of updates) {
+            const predicted = update.arrival ?? update.departure;
+            if (predicted === null) continue;
+            const i = stopTimes.findIndex(st => st.stop_id === update.stopId);
+            if (i === -1) continue;
+            const base = scheduled[i].arrival ?? scheduled[i].departure;
+            return base !== null && Math.abs(predicted - base) < 3600;
+        }
+        return false;
+    }
+
+    _addScheduledTrips(stopInfo, stopIds) {
+        const now = this.clock.seconds();
+        const horizon = now + config.schedule.lookaheadMinutes * 60;
+        const stopTimes = stopIds.flatMap(stopId => this.staticData.getStopTimesForStop(stopId));
+
+        // Trips already predicted by the real-time feed win over the schedule, and
+        // cancelled ones stay gone even when hidden
+        const covered = new Set([...stopInfo.upcomingTrips.map(trip => trip.tripId), ...this.getCancelledTripIds()]);
+        let added = 0;
+
+        // Yesterday's service day can still be running past midnight (e.g. 24:30:00)
+        this.calendar.getRunningServiceDates(new Date(now * 1000)).forEach(serviceDate => {
+            const activeServices = this.calendar.getActiveServiceIds(serviceDate);
+            if (activeServices.size === 0) return;
+
+            const dayStart = Math.floor(this.calendar.getServiceDayStart(serviceDate) / 1000);
+
+            stopTimes.forEach(stopTime => {
+                if (covered.has(stopTime.trip_id)) return;
+
+                const trip = this.staticData.getTrip(stopTime.trip_id);
+                if (!trip || !activeServices.has(trip.service_id)) return;
+
+                const offset = parseGtfsTime(stopTime.arrival_time || stopTime.departure_time);
+                if (offset === null) return;
+
+                const time = dayStart + offset;
+                if (time <= now || time > horizon) return;
+
+                covered.add(stopTime.trip_id);
+                stopInfo.upcomingTrips.push(this._buildTripInfo(trip, stopTime.stop_id, time, 0, now, 'scheduled'));
+                added++;
+            });
+        });
+
+        return added;
+    }
+
+    _buildTripInfo(trip, stopId, time, delay, now, source) {
+        const route = this.staticData.getRoute(trip.route_id);
+        const scheduledTime = time - delay;
+
+        return {
+            tripId: trip.trip_id,
+            routeId: trip.route_id,
+            routeName: route?.route_short_name || trip.route_id,
+            routeLongName: route?.route_long_name || '',
+            headsign: trip.trip_headsign,
+            stopId: stopId,
+            platform: this.staticData.getStop(stopId)?.platform_code || null,
+            direction: trip.direction_id === "0" ? "outbound" : "inbound",
+            directionName: this.staticData.getDirectionName(trip.route_id, trip.direction_id),
+            scheduledArrival: new Date(scheduledTime * 1000).toISOString(),
+            estimatedArrival: new Date(time * 1000).toISOString(),
+            minutesUntilArrival: Math.round((time - now) / 60),
+            delay: delay,
+            routeColor: route?.route_color ? `#${route.route_color}` : null,
+            routeTextColor: route?.route_text_color ? `#${route.route_text_color}` : null,
+            source: source
+        };
+    }
+
     _sortAndFilterTrips(stopInfo, direction) {
         // Sort by arrival time
         stopInfo.upcomingTrips.sort((a, b) =>
             new Date(a.estimatedArrival) - new Date(b.estimatedArrival)
         );
 
-        // Filter by direction if specified
-        if (direction) {
-            stopInfo.upcomingTrips = stopInfo.upcomingTrips.filter(trip => {
-                const routeName = (trip.routeName || '').toLowerCase();
-                const headsign = (trip.headsign || '').toLowerCase();
-                const routeLongName = (trip.routeLongName || '').toLowerCase();
-                const dir = direction.toLowerCase();
-
-                // Logic copied from original index.js
-                if (dir === 'eastbound') {
-                    return routeName.includes('n') ||
-                        headsign.includes('antioch') ||
-                        headsign.includes('berryessa') ||
-                        headsign.includes('dublin') ||
-                        headsign.includes('pittsburg');
-                } else if (dir === 'westbound') {
-                    return routeName.includes('s') ||
-                        headsign.includes('millbrae') ||
-                        headsign.includes('sfo') ||
-                        headsign.includes('daly city') ||
-                        headsign.includes('richmond');
-                }
-                return true;
-            });
+        // Filter by GTFS direction name (directions.txt), resolving legacy aliases
+        const target = this.resolveDirection(direction);
+        if (target) {
+            stopInfo.upcomingTrips = stopInfo.upcomingTrips.filter(trip =>
+                trip.directionName?.toLowerCase() === target
+            );
         }
     }
 
-    _processAlerts(alertsFeed, stopInfo, stopId) {
-        alertsFeed.entity.forEach(entity => {
-            if (entity.alert) {
-                const alert = entity.alert;
-
-                // Check if alert affects our stop
-                const affectsStop = alert.informedEntity?.some(ie =>
-                    ie.stopId === stopId
-                );
-
-                if (affectsStop) {
-                    stopInfo.alerts.push({
-                        header: alert.headerText?.translation?.[0]?.text || 'Alert',
-                        description: alert.descriptionText?.translation?.[0]?.text || '',
-                        url: alert.url?.translation?.[0]?.text || null,
-                        activePeriod: alert.activePeriod?.map(ap => ({
-                            start: ap.start ? new Date(Number(ap.start) * 1000).toISOString() : null,
-                            end: ap.end ? new Date(Number(ap.end) * 1000).toISOString() : null
-                        })) || []
-                    });
-                }
-            }
+    // Arrivals split per platform, for station-level queries
+    groupByPlatform(stopInfo) {
+        const platforms = stopInfo.stop.platforms || [{ id: stopInfo.stop.id, platform: stopInfo.stop.platform }];
+        return platforms.map(({ id, platform }) => ({
+            id,
+            platform,
+            upcomingTrips: stopInfo.upcomingTrips.filter(trip => trip.stopId === id)
+        }));
+    }
+
+    // Display names for a headsign from the static destination table. Headsigns
+    // it doesn't know (a new feed, trips added in real time) are shortened the
+    // same way; trips without one are named for their direction.
+    getDestination(headsign, directionName = null) {
+        const known = headsign ? this.staticData.getDestination(headsign) : null;
+        if (known) return known;
+
+        const name = headsign ? destinationFromHeadsign(headsign) : directionName ? `${directionName}bound` : 'Unknown';
+        return { name, shortName: shortDestinationName(name), direction: directionName };
+    }
+
+    getDestinationName(headsign, directionName = null) {
+        return this.getDestination(headsign, directionName).name;
+    }
+
+    resolveDirection(direction) {
+        if (!direction) return null;
+        const dir = direction.toLowerCase();
+        return this.agency.directionAliases[dir] || dir;
+    }
+
+    getValidDirections() {
+        const valid = new Set(this.staticData.getDirectionNames().map(name => name.toLowerCase()));
+        Object.entries(this.agency.directionAliases).forEach(([alias, target]) => {
+            if (valid.has(target)) valid.add(alias);
         });
+        return valid;
     }
 }
-
-export const transitService = new TransitService();
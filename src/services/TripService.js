@@ -0,0 +1,264 @@
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import { parseGtfsTime } from '../lib/time.js';
+
+const { TripDescriptor, TripUpdate } = GtfsRealtimeBindings.transit_realtime;
+const TripRelationship = TripDescriptor.ScheduleRelationship;
+const StopRelationship = TripUpdate.StopTimeUpdate.ScheduleRelationship;
+const TRIP_RELATIONSHIP_NAMES = Object.fromEntries(Object.entries(TripRelationship).map(([name, value]) => [value, name]));
+
+// A trip's full stop sequence with live predictions. Each stop is matched to
+// its stopTimeUpdate; stops without one take the delay of the closest upstream
+// prediction, per the GTFS-RT propagation rules:
+//   realtime    the stop has its own prediction
+//   propagated  delay carried from an upstream stop (or the trip-level delay)
+//   skipped     SKIPPED; the train doesn't stop, the delay still carries past it
+//   no-data     before the first prediction, or from a NO_DATA stop until the next prediction
+//   scheduled   no real-time data for the trip at all
+//   cancelled   the whole trip is CANCELED
+export class TripService {
+    constructor({ staticData, calendar, transit, clock }) {
+        this.staticData = staticData;
+        this.calendar = calendar;
+        this.transit = transit;
+        this.clock = clock;
+    }
+
+    getTrip(tripId, { serviceDate } = {}) {
+        const entry = this.transit.getRealtimeIndex()?.byTrip.get(tripId) || null;
+        if (entry?.added) {
+            return this._getAddedTrip(entry);
+        }
+
+        const trip = this.staticData.getTrip(tripId);
+        if (!trip) {
+            throw new Error(`Trip ${tripId} not found`);
+        }
+
+        const stopTimes = this.staticData.getStopTimesForTrip(tripId);
+        const run = this._findRun(trip, stopTimes, entry);
+        const date = serviceDate || run.serviceDate;
+        if (!this.calendar.getActiveServiceIds(date).has(trip.service_id)) {
+            throw new Error(`Trip ${tripId} not found on service date ${date}`);
+        }
+
+        // Predictions only apply when the run asked for is the one the feed describes
+        const tripUpdate = run.serviceDate === date ? run.tripUpdate : null;
+        const dayStart = Math.floor(this.calendar.getServiceDayStart(date) / 1000);
+        const relationship = tripUpdate?.trip?.scheduleRelationship ?? TripRelationship.SCHEDULED;
+        const stops = this._mergeStops(stopTimes, dayStart, tripUpdate, relationship === TripRelationship.CANCELED);
+
+        const now = this.clock.seconds();
+        stops.forEach(stop => {
+            const time = stop.departure ?? stop.arrival ?? stop.scheduledDeparture ?? stop.scheduledArrival;
+            stop.passed = time !== null && time < now;
+            ['arrival', 'departure', 'scheduledArrival', 'scheduledDeparture'].forEach(field => {
+                stop[field] = stop[field] === null ? null : new Date(stop[field] * 1000).toISOString();
+            });
+        });
+
+        return this._formatTrip(trip, {
+            serviceDate: date,
+            relationship,
+            realtime: !!tripUpdate,
+            vehicle: tripUpdate ? entry?.vehicle : null,
+            stops
+        });
+    }
+
+    _formatTrip(trip, { serviceDate, relationship, realtime, vehicle, stops }) {
+        const route = this.staticData.getRoute(trip.route_id);
+        const current = stops.find(stop => !stop.passed) || stops[stops.length - 1];
+        return {
+            tripId: trip.trip_id,
+            routeId: trip.route_id,
+            routeName: route?.route_short_name || trip.route_id,
+            routeColor: route?.route_color ? `#${route.route_color}` : null,
+            headsign: trip.trip_headsign,
+            directionName: this.staticData.getDirectionName(trip.route_id, trip.direction_id),
+            serviceDate,
+            scheduleRelationship: TRIP_RELATIONSHIP_NAMES[relationship] || String(relationship),
+            realtime,
+            vehicle: vehicle?.label || null,
+            delay: current?.delay ?? null,
+            nextStop: current && !current.passed ? current.stopId : null,
+            stops
+        };
+    }
+
+    // ADDED or unknown trips have no stop_times; the stops are the feed's own
+    _getAddedTrip(entry) {
+        const { trip, tripUpdate } = entry;
+        const now = this.clock.seconds();
+
+        const stops = (tripUpdate.stopTimeUpdate || []).map(update => {
+            const stop = this.staticData.getStop(update.stopId);
+            const skipped = update.scheduleRelationship === StopRelationship.SKIPPED;
+            const arrival = this._eventTime(update.arrival, null);
+            const departure = this._eventTime(update.departure, null);
+            const time = departure.time ?? arrival.time;
+            return {
+                sequence: Object.hasOwn(update, 'stopSequence') ? update.stopSequence : null,
+                stopId: update.stopId,
+                name: stop?.stop_name,
+                station: stop?.parent_station || null,
+                platform: stop?.platform_code || null,
+                scheduledArrival: null,
+                scheduledDeparture: null,
+                arrival: skipped || arrival.time === null ? null : new Date(arrival.time * 1000).toISOString(),
+                departure: skipped || departure.time === null ? null : new Date(departure.time * 1000).toISOString(),
+                delay: skipped ? null : departure.delay ?? arrival.delay,
+                status: skipped ? 'skipped' : time === null ? 'no-data' : 'realtime',
+                passed: time !== null && time < now
+            };
+        });
+
+        return this._formatTrip(trip, {
+            serviceDate: tripUpdate.trip.startDate || this.calendar.getServiceDate(),
+            relationship: tripUpdate.trip.scheduleRelationship ?? TripRelationship.SCHEDULED,
+            realtime: true,
+            vehicle: entry.vehicle,
+            stops
+        });
+    }
+
+    // The service day whose run the feed is predicting; without predictions, the
+    // run in progress now, else today's (or yesterday's past-midnight) run
+    _findRun(trip, stopTimes, entry) {
+        const runningDates = this.calendar.getRunningServiceDates();
+        const activeDates = runningDates.filter(date => this.calendar.getActiveServiceIds(date).has(trip.service_id));
+
+        if (entry) {
+            const startDate = entry.tripUpdate.trip?.startDate;
+            if (startDate) return { serviceDate: startDate, tripUpdate: entry.tripUpdate };
+
+            for (const serviceDate of activeDates) {
+                const dayStart = Math.floor(this.calendar.getServiceDayStart(serviceDate) / 1000);
+                const times = this.transit.predictStopTimes(stopTimes, dayStart, entry.updates);
+                if (times.length > 0 && times[0].realtime) return { serviceDate, tripUpdate: entry.tripUpdate };
+            }
+            // Cancelled runs carry no times to match; they belong to the latest running day
+            if (entry.tripUpdate.trip?.scheduleRelationship === TripRelationship.CANCELED && activeDates.length > 0) {
+                return { serviceDate: activeDates[activeDates.length - 1], tripUpdate: entry.tripUpdate };
+            }
+        }
+
+        const now = this.clock.seconds();
+        const inProgress = activeDates.find(serviceDate => {
+            const dayStart = Math.floor(this.calendar.getServiceDayStart(serviceDate) / 1000);
+            const first = parseGtfsTime(stopTimes[0]?.departure_time || stopTimes[0]?.arrival_time);
+            const last = parseGtfsTime(stopTimes[stopTimes.length - 1]?.arrival_time || stopTimes[stopTimes.length - 1]?.departure_time);
+            return first !== null && last !== null && dayStart + first <= now && now <= dayStart + last;
+        });
+        const serviceDate = inProgress || activeDates[activeDates.length - 1] || runningDates[runningDates.length - 1];
+        return { serviceDate, tripUpdate: null };
+    }
+
+    _mergeStops(stopTimes, dayStart, tripUpdate, cancelled) {
+        const updates = this._matchUpdates(stopTimes, tripUpdate?.stopTimeUpdate || []);
+        // Trip-level delay (TripUpdate.delay) applies until the first stop prediction
+        let delay = tripUpdate && Object.hasOwn(tripUpdate, 'delay') ? tripUpdate.delay : null;
+        let noData = false;
+
+        return stopTimes.map((stopTime, i) => {
+            const arrivalOffset = parseGtfsTime(stopTime.arrival_time || stopTime.departure_time);
+            const departureOffset = parseGtfsTime(stopTime.departure_time || stopTime.arrival_time);
+            const scheduledArrival = arrivalOffset === null ? null : dayStart + arrivalOffset;
+            const scheduledDeparture = departureOffset === null ? null : dayStart + departureOffset;
+            const stop = this.staticData.getStop(stopTime.stop_id);
+
+            const result = {
+                sequence: parseInt(stopTime.stop_sequence, 10),
+                stopId: stopTime.stop_id,
+                name: stop?.stop_name,
+                station: stop?.parent_station || null,
+                platform: stop?.platform_code || null,
+                scheduledArrival,
+                scheduledDeparture,
+                arrival: null,
+                departure: null,
+                delay: null,
+                status: 'scheduled'
+            };
+
+            if (cancelled) {
+                result.status = 'cancelled';
+                return result;
+            }
+            if (!tripUpdate) {
+                result.arrival = scheduledArrival;
+                result.departure = scheduledDeparture;
+                return result;
+            }
+
+            const update = updates[i];
+            const relationship = update?.scheduleRelationship ?? StopRelationship.SCHEDULED;
+
+            if (update && relationship === StopRelationship.NO_DATA) {
+                noData = true;
+                delay = null;
+            } else if (update && relationship === StopRelationship.SKIPPED) {
+                result.status = 'skipped';
+                return result;
+            } else if (update) {
+                noData = false;
+                const arrival = this._eventTime(update.arrival, scheduledArrival);
+                const departure = this._eventTime(update.departure, scheduledDeparture);
+                // A stop with only one event keeps the other event's delay
+                const arrivalDelay = arrival.delay ?? departure.delay ?? delay;
+                const departureDelay = departure.delay ?? arrivalDelay;
+
+                result.arrival = arrival.time ?? (scheduledArrival !== null && arrivalDelay !== null ? scheduledArrival + arrivalDelay : null);
+                result.departure = departure.time ??
+                    (scheduledDeparture !== null && departureDelay !== null ? scheduledDeparture + departureDelay : null);
+                if (result.arrival !== null && result.departure !== null && result.departure < result.arrival) {
+                    result.departure = result.arrival;
+                }
+                result.delay = departureDelay;
+                result.status = 'realtime';
+                delay = departureDelay;
+                return result;
+            }
+
+            if (noData || delay === null) {
+                result.status = 'no-data';
+                return result;
+            }
+
+            result.arrival = scheduledArrival === null ? null : scheduledArrival + delay;
+            result.departure = scheduledDeparture === null ? null : scheduledDeparture + delay;
+            result.delay = delay;
+            result.status = 'propagated';
+            return result;
+        });
+    }
+
+    // Absolute time wins over delay; the delay is derived from it when both are present
+    _eventTime(event, scheduled) {
+        if (!event) return { time: null, delay: null };
+        const delay = Object.hasOwn(event, 'delay') ? event.delay : null;
+        const time = event.time ? Number(event.time) : null;
+        if (time === null || scheduled === null) return { time, delay };
+        return { time, delay: time - scheduled };
+    }
+
+    // Updates are matched by stop_sequence, else by stop_id searching forward
+    // from the previous match, so loops that revisit a stop line up
+    _matchUpdates(stopTimes, stopTimeUpdates) {
+        const matched = new Array(stopTimes.length).fill(null);
+        let from = 0;
+
+        stopTimeUpdates.forEach(update => {
+            let i;
+            if (Object.hasOwn(update, 'stopSequence')) {
+                i = stopTimes.findIndex(st => st.stop_sequence === String(update.stopSequence));
+            } else {
+                i = stopTimes.findIndex((st, j) => j >= from && st.stop_id === update.stopId);
+            }
+            if (i === -1) return;
+            matched[i] = update;
+            from = i + 1;
+        });
+
+        return matched;
+    }
+}